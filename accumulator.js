@@ -0,0 +1,194 @@
+const {
+  validateInitialState,
+  validateState,
+  getNextState,
+  stateDrawsPower,
+  stateCountsAsSavings,
+} = require('./index');
+const {
+  ProfileValidationError,
+  TimeRangeError,
+  ERROR_CODE,
+} = require('./errors');
+
+/**
+ * STREAMING USAGE
+ *
+ * Events from devices arrive one at a time, so rather than recalculating the usage of the whole
+ * events array after each one, a `UsageAccumulator` keeps a running total of the usage and
+ * savings as events are pushed to it.
+ *
+ * Events follow the same rules as `calculateEnergyUsageSimple` and `calculateEnergySavings`:
+ * repeated events are ignored, and an 'off' after an 'auto-off' stays attributed to the device.
+ *
+ * Events must be pushed in timestamp order. With `bufferOutOfOrder` enabled, events are instead
+ * held back until `advanceTo` is called, so events that arrive late but before the time that is
+ * advanced to are applied in order.
+ */
+
+/**
+ * Validates that an event timestamp is a number
+ * @param {number} timestamp The timestamp to validate
+ * @throws {ProfileValidationError} When timestamp is not a finite number
+ */
+const validateEventTimestamp = (timestamp) => {
+  if (typeof timestamp !== 'number' || !Number.isFinite(timestamp)) {
+    throw new ProfileValidationError(
+      'invalid timestamp',
+      ERROR_CODE.INVALID_TIMESTAMP,
+      { value: timestamp }
+    );
+  }
+};
+
+class UsageAccumulator {
+  #state;
+  #currentTime;
+  #usage = 0;
+  #savings = 0;
+  #bufferOutOfOrder;
+  #buffer = [];
+
+  /**
+   * @param {string} initial The initial state of the appliance
+   * @param {Object} [options]
+   * @param {number} [options.startTime=0] The timestamp the initial state applies from
+   * @param {boolean} [options.bufferOutOfOrder=false] Hold events back until `advanceTo` is called
+   * @throws {Error} When the initial state or start time is invalid
+   */
+  constructor(initial, { startTime = 0, bufferOutOfOrder = false } = {}) {
+    validateInitialState(initial);
+    validateEventTimestamp(startTime);
+
+    this.#state = initial;
+    this.#currentTime = startTime;
+    this.#bufferOutOfOrder = bufferOutOfOrder;
+  }
+
+  /**
+   * Adds an event to the accumulator
+   *
+   * @param {Object} event The state change event
+   * @param {string} event.state The new state
+   * @param {number} event.timestamp The time of the state change
+   * @throws {Error} When the event is invalid, or is earlier than events already applied
+   */
+  push(event) {
+    validateState(event.state);
+    validateEventTimestamp(event.timestamp);
+
+    if (event.timestamp < this.#currentTime) {
+      throw new TimeRangeError(
+        'event out of order',
+        ERROR_CODE.EVENT_OUT_OF_ORDER,
+        {
+          value: event.timestamp,
+          range: { min: this.#currentTime, max: Infinity },
+        }
+      );
+    }
+
+    if (!this.#bufferOutOfOrder) {
+      this.#apply(event);
+      return;
+    }
+
+    // Keep the buffer sorted, with events at the same time in the order they arrived.
+    const position = this.#buffer.findIndex(
+      (buffered) => buffered.timestamp > event.timestamp
+    );
+    if (position === -1) {
+      this.#buffer.push(event);
+    } else {
+      this.#buffer.splice(position, 0, event);
+    }
+  }
+
+  /**
+   * Moves the accumulator forward in time, applying any buffered events up to that time
+   *
+   * @param {number} timestamp The time to advance to
+   * @throws {TimeRangeError} When the timestamp is earlier than the current time
+   */
+  advanceTo(timestamp) {
+    validateEventTimestamp(timestamp);
+
+    if (timestamp < this.#currentTime) {
+      throw new TimeRangeError(
+        'cannot advance to an earlier time',
+        ERROR_CODE.INVALID_TIME_RANGE,
+        { value: timestamp, range: { min: this.#currentTime, max: Infinity } }
+      );
+    }
+
+    while (this.#buffer.length > 0 && this.#buffer[0].timestamp <= timestamp) {
+      this.#apply(this.#buffer.shift());
+    }
+
+    this.#accumulateTo(timestamp);
+  }
+
+  /**
+   * @returns {number} The usage in minutes up to the current time
+   */
+  getUsage() {
+    return this.#usage;
+  }
+
+  /**
+   * @returns {number} The savings in minutes up to the current time
+   */
+  getSavings() {
+    return this.#savings;
+  }
+
+  /**
+   * @returns {string} The state of the appliance at the current time
+   */
+  getState() {
+    return this.#state;
+  }
+
+  /**
+   * @returns {number} The time up to which usage and savings have been accumulated
+   */
+  getCurrentTime() {
+    return this.#currentTime;
+  }
+
+  /**
+   * @returns {number} The number of buffered events waiting for `advanceTo`
+   */
+  getBufferedCount() {
+    return this.#buffer.length;
+  }
+
+  /**
+   * Adds the time spent in the current state up to the given time to the running totals
+   * @param {number} timestamp The time to accumulate to
+   */
+  #accumulateTo(timestamp) {
+    const duration = timestamp - this.#currentTime;
+
+    if (stateDrawsPower(this.#state)) {
+      this.#usage += duration;
+    } else if (stateCountsAsSavings(this.#state)) {
+      this.#savings += duration;
+    }
+
+    this.#currentTime = timestamp;
+  }
+
+  /**
+   * Accumulates up to an event and then applies its state change
+   * @param {Object} event The state change event
+   */
+  #apply(event) {
+    this.#accumulateTo(event.timestamp);
+    this.#state = getNextState(this.#state, event.state);
+  }
+}
+
+module.exports = {
+  UsageAccumulator,
+};
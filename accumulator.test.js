@@ -0,0 +1,152 @@
+const { UsageAccumulator } = require('./accumulator');
+const {
+  calculateEnergyUsageSimple,
+  calculateEnergySavings,
+  MAX_IN_PERIOD,
+} = require('./index');
+
+describe('UsageAccumulator', () => {
+  const usageProfile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 100 },
+      { state: 'off', timestamp: 150 },
+      { state: 'on', timestamp: 200 },
+      { state: 'auto-off', timestamp: 500 },
+      { state: 'off', timestamp: 800 },
+      { state: 'on', timestamp: 933 },
+      { state: 'off', timestamp: 1010 },
+      { state: 'on', timestamp: 1250 },
+      { state: 'on', timestamp: 1299 },
+      { state: 'auto-off', timestamp: 1320 },
+    ],
+  };
+
+  const accumulateDay = (profile) => {
+    const accumulator = new UsageAccumulator(profile.initial);
+    profile.events.forEach((event) => accumulator.push(event));
+    accumulator.advanceTo(MAX_IN_PERIOD);
+    return accumulator;
+  };
+
+  it('should match calculateEnergyUsageSimple at the end of the day', () => {
+    expect(accumulateDay(usageProfile).getUsage()).toEqual(
+      calculateEnergyUsageSimple(usageProfile)
+    );
+  });
+
+  it('should match calculateEnergySavings at the end of the day', () => {
+    expect(accumulateDay(usageProfile).getSavings()).toEqual(
+      calculateEnergySavings(usageProfile)
+    );
+  });
+
+  it('should report running usage after each event', () => {
+    const accumulator = new UsageAccumulator('on');
+    accumulator.push({ state: 'off', timestamp: 120 });
+    expect(accumulator.getUsage()).toEqual(120);
+  });
+
+  it('should report running usage up to the time advanced to', () => {
+    const accumulator = new UsageAccumulator('off');
+    accumulator.push({ state: 'on', timestamp: 100 });
+    accumulator.advanceTo(250);
+    expect(accumulator.getUsage()).toEqual(150);
+  });
+
+  it('should count savings from an auto-off initial state', () => {
+    const accumulator = new UsageAccumulator('auto-off');
+    accumulator.push({ state: 'off', timestamp: 60 });
+    accumulator.push({ state: 'on', timestamp: 90 });
+    expect(accumulator.getSavings()).toEqual(90);
+  });
+
+  it('should keep an auto-off state after a redundant off event', () => {
+    const accumulator = new UsageAccumulator('on');
+    accumulator.push({ state: 'auto-off', timestamp: 60 });
+    accumulator.push({ state: 'off', timestamp: 90 });
+    expect(accumulator.getState()).toBe('auto-off');
+  });
+
+  it('should start from the start time', () => {
+    const accumulator = new UsageAccumulator('on', { startTime: 1440 });
+    accumulator.advanceTo(1500);
+    expect(accumulator.getUsage()).toEqual(60);
+  });
+
+  it('should refuse events that arrive out of order', () => {
+    const accumulator = new UsageAccumulator('off');
+    accumulator.push({ state: 'on', timestamp: 100 });
+    expect(() => accumulator.push({ state: 'off', timestamp: 50 })).toThrow(
+      /event out of order/
+    );
+  });
+
+  it('should refuse to advance to an earlier time', () => {
+    const accumulator = new UsageAccumulator('off');
+    accumulator.advanceTo(100);
+    expect(() => accumulator.advanceTo(50)).toThrow(
+      /cannot advance to an earlier time/
+    );
+  });
+
+  it('should throw error for an invalid initial state', () => {
+    expect(() => new UsageAccumulator('broken')).toThrow(
+      /invalid initial state/
+    );
+  });
+
+  it('should throw error for an invalid event state', () => {
+    const accumulator = new UsageAccumulator('off');
+    expect(() => accumulator.push({ state: 'broken', timestamp: 10 })).toThrow(
+      /invalid state/
+    );
+  });
+
+  it('should throw error for a non-numeric timestamp', () => {
+    const accumulator = new UsageAccumulator('off');
+    expect(() => accumulator.push({ state: 'on', timestamp: '10' })).toThrow(
+      /invalid timestamp/
+    );
+  });
+
+  describe('when buffering out of order events', () => {
+    it('should apply buffered events in timestamp order', () => {
+      const accumulator = new UsageAccumulator('off', {
+        bufferOutOfOrder: true,
+      });
+      accumulator.push({ state: 'off', timestamp: 300 });
+      accumulator.push({ state: 'on', timestamp: 100 });
+      accumulator.advanceTo(400);
+      expect(accumulator.getUsage()).toEqual(200);
+    });
+
+    it('should hold events back until advanceTo is called', () => {
+      const accumulator = new UsageAccumulator('off', {
+        bufferOutOfOrder: true,
+      });
+      accumulator.push({ state: 'on', timestamp: 100 });
+      expect(accumulator.getBufferedCount()).toEqual(1);
+    });
+
+    it('should keep events later than the time advanced to', () => {
+      const accumulator = new UsageAccumulator('off', {
+        bufferOutOfOrder: true,
+      });
+      accumulator.push({ state: 'on', timestamp: 100 });
+      accumulator.push({ state: 'off', timestamp: 500 });
+      accumulator.advanceTo(200);
+      expect(accumulator.getBufferedCount()).toEqual(1);
+    });
+
+    it('should refuse events earlier than the time advanced to', () => {
+      const accumulator = new UsageAccumulator('off', {
+        bufferOutOfOrder: true,
+      });
+      accumulator.advanceTo(200);
+      expect(() => accumulator.push({ state: 'on', timestamp: 100 })).toThrow(
+        /event out of order/
+      );
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const {
+  calculateEnergyUsageForRange,
+  calculateEpochDayBoundaries,
+  getStateIntervals,
+  getOnRuns,
+  sortEventByTimeStamp,
+  validateProfile,
+  MAX_IN_PERIOD,
+  SEVERITY,
+} = require('./index');
+const { ConfigurationError, ERROR_CODE } = require('./errors');
+
+/**
+ * ANOMALY DETECTION
+ *
+ * `detectAnomalies` looks through a month profile for things worth alerting a customer about:
+ * an appliance left on for too long, a day that used far more than the days before it, and a
+ * device that stopped reporting events. Each anomaly is a record like this (as an example):
+ * ```
+ * {
+ *    type: 'left-on',
+ *    severity: 'warning',
+ *    start: 1400,
+ *    end: 2100,
+ *    value: 700,
+ *    threshold: 480,
+ *    message: 'on for 700 minutes',
+ * }
+ * ```
+ * `start` and `end` are minutes since the start of the month, and `value` is the measurement
+ * that crossed the `threshold`. Anomalies at twice their threshold or more are errors, the rest
+ * are warnings.
+ */
+
+const ANOMALY_TYPE = {
+  LEFT_ON: 'left-on',
+  USAGE_SPIKE: 'usage-spike',
+  SILENT: 'silent',
+};
+
+const DEFAULT_THRESHOLDS = {
+  leftOnMinutes: 8 * 60,
+  baselineDays: 7,
+  usageFactor: 2,
+  minimumExcessMinutes: 60,
+  silenceMinutes: 2 * MAX_IN_PERIOD,
+};
+
+/**
+ * Validates the thresholds of the anomaly detector
+ *
+ * @param {Object} thresholds The thresholds, with the defaults filled in
+ * @throws {ConfigurationError} When a threshold is unknown or not a positive number, or baselineDays is not an integer
+ */
+const validateThresholds = (thresholds) => {
+  const names = Object.keys(DEFAULT_THRESHOLDS);
+  Object.keys(thresholds).forEach((name) => {
+    if (!names.includes(name)) {
+      throw new ConfigurationError(
+        `unknown threshold ${name}`,
+        ERROR_CODE.INVALID_THRESHOLD,
+        { value: name, allowed: names }
+      );
+    }
+  });
+
+  names.forEach((name) => {
+    const value = thresholds[name];
+    const isValid =
+      typeof value === 'number' &&
+      Number.isFinite(value) &&
+      value > 0 &&
+      (name !== 'baselineDays' || Number.isInteger(value));
+
+    if (!isValid) {
+      throw new ConfigurationError(
+        `invalid ${name}`,
+        ERROR_CODE.INVALID_THRESHOLD,
+        { value, range: { min: 0, max: Infinity } }
+      );
+    }
+  });
+};
+
+/**
+ * Creates an anomaly record, grading its severity by how far it crossed the threshold
+ *
+ * @param {string} type One of the ANOMALY_TYPE values
+ * @param {number} start Start of the anomaly in minutes since the start of the month
+ * @param {number} end End of the anomaly in minutes since the start of the month
+ * @param {number} value The measurement that crossed the threshold
+ * @param {number} threshold The threshold it crossed
+ * @param {string} message Human-readable description of the anomaly
+ * @returns {Object} The anomaly record
+ */
+const createAnomaly = (type, start, end, value, threshold, message) => {
+  return {
+    type,
+    severity: value >= threshold * 2 ? SEVERITY.ERROR : SEVERITY.WARNING,
+    start,
+    end,
+    value,
+    threshold,
+    message,
+  };
+};
+
+/**
+ * Finds the on-runs that last longer than the threshold
+ *
+ * @param {Array<Object>} intervals The state intervals of the month
+ * @param {number} leftOnMinutes The longest an appliance may stay on
+ * @returns {Array<Object>} Array of left-on anomalies
+ */
+const detectLeftOn = (intervals, leftOnMinutes) => {
+  return getOnRuns(intervals)
+    .filter((run) => run.minutes > leftOnMinutes)
+    .map((run) =>
+      createAnomaly(
+        ANOMALY_TYPE.LEFT_ON,
+        run.start,
+        run.end,
+        run.minutes,
+        leftOnMinutes,
+        `on for ${run.minutes} minutes`
+      )
+    );
+};
+
+/**
+ * Finds the days whose usage is far above the mean usage of the days before them
+ *
+ * Days without a full baseline of earlier days are skipped.
+ *
+ * @param {Array<number>} dailyUsage The usage for each day, starting at day 1
+ * @param {Object} thresholds The thresholds of the detector
+ * @returns {Array<Object>} Array of usage spike anomalies
+ */
+const detectUsageSpikes = (
+  dailyUsage,
+  { baselineDays, usageFactor, minimumExcessMinutes }
+) => {
+  const anomalies = [];
+
+  for (let i = baselineDays; i < dailyUsage.length; i++) {
+    const baseline =
+      dailyUsage
+        .slice(i - baselineDays, i)
+        .reduce((total, usage) => total + usage, 0) / baselineDays;
+    const threshold = baseline * usageFactor;
+    const usage = dailyUsage[i];
+
+    if (usage > threshold && usage - baseline >= minimumExcessMinutes) {
+      const day = i + 1;
+      const { epochDayStart, epochDayEnd } = calculateEpochDayBoundaries(day);
+      anomalies.push(
+        createAnomaly(
+          ANOMALY_TYPE.USAGE_SPIKE,
+          epochDayStart,
+          epochDayEnd,
+          usage,
+          threshold,
+          `day ${day} used ${usage} minutes against a baseline of ${baseline} minutes`
+        )
+      );
+    }
+  }
+
+  return anomalies;
+};
+
+/**
+ * Finds the gaps between events, and after the last event, that last longer than the threshold
+ *
+ * The gap after the last event is only measured against a known end of the month. A month that
+ * ends at the day of its last event can never have a long gap after it, so it is not measured.
+ *
+ * @param {Array<Object>} sortedEvents The sorted events of the month
+ * @param {number} [periodEnd] The end of the month in minutes, or undefined when it is not known
+ * @param {number} silenceMinutes The longest a device may go without reporting
+ * @returns {Array<Object>} Array of silent anomalies
+ */
+const detectSilence = (sortedEvents, periodEnd, silenceMinutes) => {
+  const anomalies = [];
+  const times = [0, ...sortedEvents.map((event) => event.timestamp)];
+  if (periodEnd !== undefined) {
+    times.push(periodEnd);
+  }
+
+  for (let i = 1; i < times.length; i++) {
+    const gap = times[i] - times[i - 1];
+    if (gap > silenceMinutes) {
+      anomalies.push(
+        createAnomaly(
+          ANOMALY_TYPE.SILENT,
+          times[i - 1],
+          times[i],
+          gap,
+          silenceMinutes,
+          `no events for ${gap} minutes`
+        )
+      );
+    }
+  }
+
+  return anomalies;
+};
+
+/**
+ * Detects anomalies in a month usage profile
+ *
+ * Silence after the last event is only detected when `days` is given, as the month could
+ * otherwise end at the last event.
+ *
+ * @param {Object} monthUsageProfile
+ * @param {string} monthUsageProfile.initial
+ * @param {Array<Object>} monthUsageProfile.events
+ * @param {Object} [options]
+ * @param {number} [options.days] The number of days in the month, by default up to the day of the last event
+ * @param {number} [options.leftOnMinutes=480] The longest an appliance may stay on
+ * @param {number} [options.baselineDays=7] The number of earlier days a day's usage is compared with
+ * @param {number} [options.usageFactor=2] How many times the baseline a day's usage must be to stand out
+ * @param {number} [options.minimumExcessMinutes=60] How far above the baseline a day's usage must be to stand out
+ * @param {number} [options.silenceMinutes=2880] The longest a device may go without reporting an event
+ * @returns {Array<Object>} Array of anomalies, sorted by start time
+ * @throws {Error} When the profile, number of days or a threshold is invalid
+ */
+const detectAnomalies = (monthUsageProfile, { days, ...options } = {}) => {
+  validateProfile(monthUsageProfile);
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...options };
+  validateThresholds(thresholds);
+
+  const intervals = getStateIntervals(monthUsageProfile, { days });
+  const periodEnd = intervals.at(-1).end;
+  const dailyUsage = calculateEnergyUsageForRange(
+    monthUsageProfile,
+    1,
+    periodEnd / MAX_IN_PERIOD
+  );
+
+  return [
+    ...detectLeftOn(intervals, thresholds.leftOnMinutes),
+    ...detectUsageSpikes(dailyUsage, thresholds),
+    ...detectSilence(
+      sortEventByTimeStamp(monthUsageProfile.events),
+      days === undefined ? undefined : periodEnd,
+      thresholds.silenceMinutes
+    ),
+  ].sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  detectAnomalies,
+  ANOMALY_TYPE,
+  DEFAULT_THRESHOLDS,
+};
@@ -0,0 +1,165 @@
+const { detectAnomalies, ANOMALY_TYPE } = require('./anomalies');
+const { MAX_IN_PERIOD } = require('./index');
+const { ERROR_CODE } = require('./errors');
+
+// Builds a month profile that is on for the given minutes at the start of each day
+const buildMonthProfile = (dailyMinutes) => ({
+  initial: 'off',
+  events: dailyMinutes.flatMap((minutes, i) => [
+    { state: 'on', timestamp: i * MAX_IN_PERIOD },
+    { state: 'off', timestamp: i * MAX_IN_PERIOD + minutes },
+  ]),
+});
+
+describe('detectAnomalies', () => {
+  it('should return no anomalies for a regular month', () => {
+    expect(detectAnomalies(buildMonthProfile([60, 60, 60, 60]))).toEqual([]);
+  });
+
+  it('should detect an appliance left on for longer than the threshold', () => {
+    const profile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 1400 },
+        { state: 'off', timestamp: 2100 },
+      ],
+    };
+    expect(detectAnomalies(profile)).toEqual([
+      {
+        type: ANOMALY_TYPE.LEFT_ON,
+        severity: 'warning',
+        start: 1400,
+        end: 2100,
+        value: 700,
+        threshold: 480,
+        message: 'on for 700 minutes',
+      },
+    ]);
+  });
+
+  it('should use a configured left-on threshold', () => {
+    const profile = buildMonthProfile([120]);
+    expect(detectAnomalies(profile, { leftOnMinutes: 60 })[0]).toMatchObject({
+      type: ANOMALY_TYPE.LEFT_ON,
+      severity: 'error',
+    });
+  });
+
+  it('should detect a day far above the rolling baseline', () => {
+    const profile = buildMonthProfile([60, 60, 60, 300]);
+    expect(detectAnomalies(profile, { baselineDays: 3 })).toEqual([
+      {
+        type: ANOMALY_TYPE.USAGE_SPIKE,
+        severity: 'error',
+        start: 3 * MAX_IN_PERIOD,
+        end: 4 * MAX_IN_PERIOD,
+        value: 300,
+        threshold: 120,
+        message: 'day 4 used 300 minutes against a baseline of 60 minutes',
+      },
+    ]);
+  });
+
+  it('should skip days without a full baseline', () => {
+    const profile = buildMonthProfile([60, 300]);
+    expect(detectAnomalies(profile, { baselineDays: 3 })).toEqual([]);
+  });
+
+  it('should ignore a small rise above a low baseline', () => {
+    const profile = buildMonthProfile([5, 5, 5, 30]);
+    expect(detectAnomalies(profile, { baselineDays: 3 })).toEqual([]);
+  });
+
+  it('should detect a device that stopped reporting', () => {
+    const profile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 100 },
+        { state: 'off', timestamp: 200 },
+      ],
+    };
+    const [silent] = detectAnomalies(profile, { days: 4 });
+    expect(silent).toEqual({
+      type: ANOMALY_TYPE.SILENT,
+      severity: 'warning',
+      start: 200,
+      end: 4 * MAX_IN_PERIOD,
+      value: 4 * MAX_IN_PERIOD - 200,
+      threshold: 2 * MAX_IN_PERIOD,
+      message: `no events for ${4 * MAX_IN_PERIOD - 200} minutes`,
+    });
+  });
+
+  it('should detect a gap between events without the number of days', () => {
+    const profile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 100 },
+        { state: 'off', timestamp: 5000 },
+      ],
+    };
+    const silent = detectAnomalies(profile).filter(
+      (anomaly) => anomaly.type === ANOMALY_TYPE.SILENT
+    );
+    expect(silent.map(({ start, end }) => ({ start, end }))).toEqual([
+      { start: 100, end: 5000 },
+    ]);
+  });
+
+  it('should not measure silence after the last event without the number of days', () => {
+    const profile = {
+      initial: 'off',
+      events: [{ state: 'on', timestamp: 100 }],
+    };
+    expect(
+      detectAnomalies(profile, { silenceMinutes: 600 }).filter(
+        (anomaly) => anomaly.type === ANOMALY_TYPE.SILENT
+      )
+    ).toEqual([]);
+  });
+
+  it('should sort the anomalies by start time', () => {
+    const profile = {
+      initial: 'on',
+      events: [{ state: 'off', timestamp: 600 }],
+    };
+    expect(
+      detectAnomalies(profile, { days: 3 }).map((anomaly) => anomaly.type)
+    ).toEqual([ANOMALY_TYPE.LEFT_ON, ANOMALY_TYPE.SILENT]);
+  });
+
+  it('should throw error for an invalid threshold', () => {
+    expect(() =>
+      detectAnomalies(buildMonthProfile([60]), { usageFactor: 0 })
+    ).toThrow(/invalid usageFactor/);
+  });
+
+  it('should throw error for a misspelled threshold', () => {
+    expect(() =>
+      detectAnomalies(buildMonthProfile([60]), { leftOnMinute: 60 })
+    ).toThrow(/unknown threshold leftOnMinute/);
+  });
+
+  it('should throw error for an option that is not a threshold', () => {
+    expect(() =>
+      detectAnomalies(buildMonthProfile([60]), { dayStartOffset: 0 })
+    ).toThrow(
+      expect.objectContaining({
+        code: ERROR_CODE.INVALID_THRESHOLD,
+        message: 'unknown threshold dayStartOffset',
+      })
+    );
+  });
+
+  it('should throw error for a baseline that is not a whole number of days', () => {
+    expect(() =>
+      detectAnomalies(buildMonthProfile([60]), { baselineDays: 1.5 })
+    ).toThrow(/invalid baselineDays/);
+  });
+
+  it('should throw error for an invalid profile', () => {
+    expect(() => detectAnomalies({ initial: 'on' })).toThrow(
+      /profile must have an events array/
+    );
+  });
+});
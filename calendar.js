@@ -0,0 +1,407 @@
+const {
+  validateProfile,
+  validateState,
+  sortEventByTimeStamp,
+} = require('./index');
+const { UsageAccumulator } = require('./accumulator');
+const {
+  ProfileValidationError,
+  TimeRangeError,
+  ConfigurationError,
+  ERROR_CODE,
+} = require('./errors');
+
+/**
+ * CALENDAR DAYS
+ *
+ * The calculators in `index.js` use uniform 1440-minute days counted from an abstract epoch.
+ * Real devices report Unix timestamps, and a day in a time zone with daylight saving can be 23
+ * or 25 hours long. The functions below take a profile whose timestamps are milliseconds since
+ * the Unix epoch or ISO-8601 strings with a UTC offset, and split it into local calendar days in
+ * an IANA time zone.
+ *
+ * The structure for a calendar `profile` looks like this (as an example):
+ * ```
+ * {
+ *    initial: 'off',
+ *    events: [
+ *      { state: 'on', timestamp: '2024-04-06T22:30:00+11:00' },
+ *      { state: 'off', timestamp: 1712446200000 },
+ *    ]
+ * }
+ * ```
+ * Dates are given and returned as 'YYYY-MM-DD' strings, and usage and savings are in minutes.
+ */
+
+const MS_IN_MINUTE = 60 * 1000;
+// No time zone is further behind UTC than this, so every local date has started by then
+const MAX_MS_BEHIND_UTC = 12 * 60 * MS_IN_MINUTE;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+// An ISO-8601 date and time that ends in 'Z' or a +hh:mm offset, so it names a single instant
+const ISO_TIMESTAMP_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Converts a millisecond or ISO-8601 timestamp into milliseconds since the Unix epoch
+ *
+ * ISO-8601 strings must have a UTC offset. Without one, `Date.parse` reads the string in the time
+ * zone of the machine running the code, so the result would depend on where it runs.
+ *
+ * @param {number|string} timestamp The timestamp to convert
+ * @returns {number} Milliseconds since the Unix epoch
+ * @throws {ProfileValidationError} When the timestamp is not a finite number or a parseable ISO-8601 string with a UTC offset
+ */
+const toEpochMilliseconds = (timestamp) => {
+  if (typeof timestamp === 'number' && Number.isFinite(timestamp)) {
+    return timestamp;
+  }
+  if (typeof timestamp === 'string' && ISO_TIMESTAMP_PATTERN.test(timestamp)) {
+    const milliseconds = Date.parse(timestamp);
+    if (!Number.isNaN(milliseconds)) {
+      return milliseconds;
+    }
+  }
+  throw new ProfileValidationError(
+    'invalid timestamp',
+    ERROR_CODE.INVALID_TIMESTAMP,
+    { value: timestamp }
+  );
+};
+
+/**
+ * Validates that a time zone is a known IANA time zone
+ * @param {string} timeZone The time zone to validate
+ * @throws {ConfigurationError} When the time zone is not recognised
+ */
+const validateTimeZone = (timeZone) => {
+  const timeZoneError = new ConfigurationError(
+    'invalid time zone',
+    ERROR_CODE.INVALID_TIME_ZONE,
+    { value: timeZone }
+  );
+
+  if (typeof timeZone !== 'string') {
+    throw timeZoneError;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw timeZoneError;
+  }
+};
+
+/**
+ * Parses a 'YYYY-MM-DD' calendar date
+ *
+ * @param {string} date The date to parse
+ * @returns {Object} Object containing year, month and day
+ * @throws {TimeRangeError} When the date is not a valid 'YYYY-MM-DD' date
+ */
+const parseDate = (date) => {
+  const dateError = new TimeRangeError(
+    'invalid date',
+    ERROR_CODE.INVALID_DATE,
+    {
+      value: date,
+    }
+  );
+
+  const match = typeof date === 'string' && DATE_PATTERN.exec(date);
+  if (!match) {
+    throw dateError;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const utcDate = new Date(Date.UTC(year, month - 1, day));
+  if (utcDate.getUTCMonth() !== month - 1 || utcDate.getUTCDate() !== day) {
+    throw dateError;
+  }
+
+  return { year, month, day };
+};
+
+/**
+ * Gets the calendar date after a 'YYYY-MM-DD' date
+ * @param {string} date The date
+ * @returns {string} The next date
+ */
+const getNextDate = (date) => {
+  const { year, month, day } = parseDate(date);
+  return new Date(Date.UTC(year, month - 1, day + 1))
+    .toISOString()
+    .slice(0, 10);
+};
+
+/**
+ * Gets the local date and time parts of a timestamp in a time zone
+ *
+ * @param {number} milliseconds Milliseconds since the Unix epoch
+ * @param {string} timeZone The IANA time zone
+ * @returns {Object} Object containing numeric year, month, day, hour, minute and second
+ */
+const getLocalParts = (milliseconds, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(milliseconds));
+
+  const localParts = {};
+  parts
+    .filter((part) => part.type !== 'literal')
+    .forEach((part) => {
+      localParts[part.type] = Number(part.value);
+    });
+  return localParts;
+};
+
+/**
+ * Gets the offset of a time zone from UTC at a point in time
+ *
+ * @param {number} milliseconds Milliseconds since the Unix epoch
+ * @param {string} timeZone The IANA time zone
+ * @returns {number} The offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (milliseconds, timeZone) => {
+  const { year, month, day, hour, minute, second } = getLocalParts(
+    milliseconds,
+    timeZone
+  );
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return localAsUtc - Math.floor(milliseconds / 1000) * 1000;
+};
+
+/**
+ * Gets the local calendar date of a timestamp in a time zone
+ *
+ * @param {number|string} timestamp Millisecond or ISO-8601 timestamp
+ * @param {string} timeZone The IANA time zone
+ * @returns {string} The local date as 'YYYY-MM-DD'
+ * @throws {Error} When the timestamp or time zone is invalid
+ */
+const getLocalDate = (timestamp, timeZone) => {
+  validateTimeZone(timeZone);
+
+  return formatLocalDate(toEpochMilliseconds(timestamp), timeZone);
+};
+
+/**
+ * Formats the local calendar date of a point in time in a time zone
+ *
+ * @param {number} milliseconds Milliseconds since the Unix epoch
+ * @param {string} timeZone The IANA time zone
+ * @returns {string} The local date as 'YYYY-MM-DD'
+ */
+const formatLocalDate = (milliseconds, timeZone) => {
+  const { year, month, day } = getLocalParts(milliseconds, timeZone);
+  return [
+    String(year).padStart(4, '0'),
+    String(month).padStart(2, '0'),
+    String(day).padStart(2, '0'),
+  ].join('-');
+};
+
+/**
+ * Finds the start of a local calendar date in a time zone
+ *
+ * The offset is looked up twice, as the offset at UTC midnight can differ from the offset at
+ * local midnight when daylight saving changes in between. Where daylight saving starts at
+ * midnight, such as in America/Sao_Paulo until 2019, local midnight never happens and the date
+ * starts when the clocks go forward instead. A date the time zone skips entirely, such as
+ * 2011-12-30 in Pacific/Apia, starts at the same moment as the next date, so it lasts no time.
+ *
+ * @param {string} date The local date as 'YYYY-MM-DD'
+ * @param {string} timeZone The IANA time zone
+ * @returns {number} Milliseconds since the Unix epoch of the first moment of the date
+ */
+const getStartOfLocalDate = (date, timeZone) => {
+  const { year, month, day } = parseDate(date);
+  const midnightAsUtc = Date.UTC(year, month - 1, day);
+
+  const firstGuess = midnightAsUtc - getTimeZoneOffset(midnightAsUtc, timeZone);
+  const start = midnightAsUtc - getTimeZoneOffset(firstGuess, timeZone);
+  if (formatLocalDate(start, timeZone) >= date) {
+    return start;
+  }
+
+  // Local midnight was skipped, so search for the first minute on or after the date. It is
+  // found by the time the date has started in every time zone.
+  let low = 0;
+  let high = Math.ceil(
+    (midnightAsUtc + MAX_MS_BEHIND_UTC - start) / MS_IN_MINUTE
+  );
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (formatLocalDate(start + middle * MS_IN_MINUTE, timeZone) >= date) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return start + low * MS_IN_MINUTE;
+};
+
+/**
+ * Calculates the start and end of a local calendar date in a time zone
+ *
+ * @param {string} date The local date as 'YYYY-MM-DD'
+ * @param {string} timeZone The IANA time zone
+ * @returns {Object} Object containing start and end in milliseconds, and the length in minutes
+ * @throws {Error} When the date or time zone is invalid
+ */
+const getLocalDayBoundaries = (date, timeZone) => {
+  validateTimeZone(timeZone);
+
+  const start = getStartOfLocalDate(date, timeZone);
+  const end = getStartOfLocalDate(getNextDate(date), timeZone);
+
+  return { start, end, minutes: (end - start) / MS_IN_MINUTE };
+};
+
+/**
+ * Validates a calendar profile and converts its events to sorted millisecond timestamps
+ *
+ * @param {Object} profile The calendar usage profile
+ * @returns {Object} The profile with sorted events and millisecond timestamps
+ * @throws {Error} When the profile, an event state or an event timestamp is invalid
+ */
+const normaliseCalendarProfile = (profile) => {
+  validateProfile(profile);
+
+  const events = profile.events.map((event, index) => {
+    validateState(event.state, index);
+    return { ...event, timestamp: toEpochMilliseconds(event.timestamp) };
+  });
+
+  return { initial: profile.initial, events: sortEventByTimeStamp(events) };
+};
+
+/**
+ * Accumulates the usage and savings of a normalised profile across consecutive windows
+ *
+ * @param {Object} profile The normalised calendar profile
+ * @param {Array<number>} boundaries Sorted window boundaries in milliseconds
+ * @returns {Array<Object>} Array of { usage, savings } in minutes, one for each window
+ */
+const accumulateWindows = (profile, boundaries) => {
+  const { events } = profile;
+  // Start from the earliest event so that the state carried into the first window is known.
+  const startTime =
+    events.length > 0
+      ? Math.min(events[0].timestamp, boundaries[0])
+      : boundaries[0];
+  const accumulator = new UsageAccumulator(profile.initial, { startTime });
+
+  let position = 0;
+  const advanceTo = (time) => {
+    while (position < events.length && events[position].timestamp < time) {
+      accumulator.push(events[position]);
+      position++;
+    }
+    accumulator.advanceTo(time);
+  };
+
+  advanceTo(boundaries[0]);
+
+  const windows = [];
+  for (let i = 1; i < boundaries.length; i++) {
+    const usageBefore = accumulator.getUsage();
+    const savingsBefore = accumulator.getSavings();
+
+    advanceTo(boundaries[i]);
+
+    windows.push({
+      usage: (accumulator.getUsage() - usageBefore) / MS_IN_MINUTE,
+      savings: (accumulator.getSavings() - savingsBefore) / MS_IN_MINUTE,
+    });
+  }
+
+  return windows;
+};
+
+/**
+ * Calculates the energy usage for a local calendar date
+ *
+ * @param {Object} profile The calendar usage profile
+ * @param {string} date The local date as 'YYYY-MM-DD'
+ * @param {string} timeZone The IANA time zone
+ * @returns {number} The energy usage in minutes
+ * @throws {Error} When the profile, date or time zone is invalid
+ */
+const calculateEnergyUsageForDate = (profile, date, timeZone) => {
+  const { start, end } = getLocalDayBoundaries(date, timeZone);
+  const [window] = accumulateWindows(normaliseCalendarProfile(profile), [
+    start,
+    end,
+  ]);
+  return window.usage;
+};
+
+/**
+ * Calculates the energy savings achieved by auto-off for a local calendar date
+ *
+ * @param {Object} profile The calendar usage profile
+ * @param {string} date The local date as 'YYYY-MM-DD'
+ * @param {string} timeZone The IANA time zone
+ * @returns {number} The energy savings in minutes
+ * @throws {Error} When the profile, date or time zone is invalid
+ */
+const calculateEnergySavingsForDate = (profile, date, timeZone) => {
+  const { start, end } = getLocalDayBoundaries(date, timeZone);
+  const [window] = accumulateWindows(normaliseCalendarProfile(profile), [
+    start,
+    end,
+  ]);
+  return window.savings;
+};
+
+/**
+ * Splits the usage and savings of a calendar profile into local calendar days
+ *
+ * Covers every local date from the date of the first event to the date of the last event. A date
+ * the time zone skips is included with no minutes, usage or savings.
+ *
+ * @param {Object} profile The calendar usage profile
+ * @param {string} timeZone The IANA time zone
+ * @returns {Array<Object>} Array of { date, minutes, usage, savings }, where minutes is the day length
+ * @throws {Error} When the profile or time zone is invalid
+ */
+const splitUsageByLocalDay = (profile, timeZone) => {
+  validateTimeZone(timeZone);
+  const normalisedProfile = normaliseCalendarProfile(profile);
+  const { events } = normalisedProfile;
+
+  if (events.length === 0) {
+    return [];
+  }
+
+  const lastDate = getLocalDate(events.at(-1).timestamp, timeZone);
+  const dates = [getLocalDate(events[0].timestamp, timeZone)];
+  while (dates.at(-1) !== lastDate) {
+    dates.push(getNextDate(dates.at(-1)));
+  }
+
+  const boundaries = dates.map((date) => getStartOfLocalDate(date, timeZone));
+  boundaries.push(getStartOfLocalDate(getNextDate(lastDate), timeZone));
+
+  return accumulateWindows(normalisedProfile, boundaries).map((window, i) => ({
+    date: dates[i],
+    minutes: (boundaries[i + 1] - boundaries[i]) / MS_IN_MINUTE,
+    ...window,
+  }));
+};
+
+module.exports = {
+  calculateEnergyUsageForDate,
+  calculateEnergySavingsForDate,
+  splitUsageByLocalDay,
+  getLocalDayBoundaries,
+  getLocalDate,
+  toEpochMilliseconds,
+  validateTimeZone,
+};
@@ -0,0 +1,248 @@
+const {
+  calculateEnergyUsageForDate,
+  calculateEnergySavingsForDate,
+  splitUsageByLocalDay,
+  getLocalDayBoundaries,
+  getLocalDate,
+  toEpochMilliseconds,
+  validateTimeZone,
+} = require('./calendar');
+
+const SYDNEY = 'Australia/Sydney';
+
+describe('calculateEnergyUsageForDate', () => {
+  const profile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: '2024-03-04T22:00:00+11:00' },
+      { state: 'off', timestamp: '2024-03-05T01:30:00+11:00' },
+      { state: 'on', timestamp: Date.parse('2024-03-05T12:00:00+11:00') },
+      { state: 'off', timestamp: '2024-03-05T12:45:00+11:00' },
+    ],
+  };
+
+  it('should count usage from midnight local time', () => {
+    expect(calculateEnergyUsageForDate(profile, '2024-03-05', SYDNEY)).toEqual(
+      90 + 45
+    );
+  });
+
+  it('should count usage up to midnight local time', () => {
+    expect(calculateEnergyUsageForDate(profile, '2024-03-04', SYDNEY)).toEqual(
+      120
+    );
+  });
+
+  it('should split days in a different time zone', () => {
+    // 22:00 to 01:30 in Sydney is 11:00 to 14:30 UTC on 2024-03-04
+    expect(calculateEnergyUsageForDate(profile, '2024-03-04', 'UTC')).toEqual(
+      210
+    );
+  });
+
+  it('should count a 25 hour day when daylight saving ends', () => {
+    expect(
+      calculateEnergyUsageForDate(
+        { initial: 'on', events: [] },
+        '2024-04-07',
+        SYDNEY
+      )
+    ).toEqual(1500);
+  });
+
+  it('should count a 23 hour day when daylight saving starts', () => {
+    expect(
+      calculateEnergyUsageForDate(
+        { initial: 'on', events: [] },
+        '2024-10-06',
+        SYDNEY
+      )
+    ).toEqual(1380);
+  });
+
+  it('should count the repeated hour when daylight saving ends', () => {
+    const dstProfile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: '2024-04-07T01:30:00+11:00' },
+        { state: 'off', timestamp: '2024-04-07T02:30:00+10:00' },
+      ],
+    };
+    expect(
+      calculateEnergyUsageForDate(dstProfile, '2024-04-07', SYDNEY)
+    ).toEqual(120);
+  });
+
+  it('should throw an error on an invalid date', () => {
+    expect(() =>
+      calculateEnergyUsageForDate(profile, '2024-02-30', SYDNEY)
+    ).toThrow(/invalid date/);
+  });
+
+  it('should throw an error on an invalid time zone', () => {
+    expect(() =>
+      calculateEnergyUsageForDate(profile, '2024-03-05', 'Mars/Olympus')
+    ).toThrow(/invalid time zone/);
+  });
+
+  it('should throw an error on an invalid timestamp', () => {
+    expect(() =>
+      calculateEnergyUsageForDate(
+        { initial: 'off', events: [{ state: 'on', timestamp: 'yesterday' }] },
+        '2024-03-05',
+        SYDNEY
+      )
+    ).toThrow(/invalid timestamp/);
+  });
+});
+
+describe('calculateEnergySavingsForDate', () => {
+  it('should carry an auto-off state across local midnight', () => {
+    const profile = {
+      initial: 'on',
+      events: [
+        { state: 'auto-off', timestamp: '2024-03-04T23:00:00+11:00' },
+        { state: 'off', timestamp: '2024-03-05T00:30:00+11:00' },
+        { state: 'on', timestamp: '2024-03-05T02:00:00+11:00' },
+      ],
+    };
+    expect(
+      calculateEnergySavingsForDate(profile, '2024-03-05', SYDNEY)
+    ).toEqual(120);
+  });
+});
+
+describe('splitUsageByLocalDay', () => {
+  const profile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: '2024-04-06T23:00:00+11:00' },
+      { state: 'auto-off', timestamp: '2024-04-08T01:00:00+10:00' },
+    ],
+  };
+
+  it('should return every local day from the first to the last event', () => {
+    expect(splitUsageByLocalDay(profile, SYDNEY)).toEqual([
+      { date: '2024-04-06', minutes: 1440, usage: 60, savings: 0 },
+      { date: '2024-04-07', minutes: 1500, usage: 1500, savings: 0 },
+      { date: '2024-04-08', minutes: 1440, usage: 60, savings: 1380 },
+    ]);
+  });
+
+  it('should book no usage against a date the time zone skips', () => {
+    const samoaProfile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: '2011-12-29T12:00:00-10:00' },
+        { state: 'off', timestamp: '2011-12-31T12:00:00+14:00' },
+      ],
+    };
+    expect(splitUsageByLocalDay(samoaProfile, 'Pacific/Apia')).toEqual([
+      { date: '2011-12-29', minutes: 1440, usage: 720, savings: 0 },
+      { date: '2011-12-30', minutes: 0, usage: 0, savings: 0 },
+      { date: '2011-12-31', minutes: 1440, usage: 720, savings: 0 },
+    ]);
+  });
+
+  it('should return no days without events', () => {
+    expect(splitUsageByLocalDay({ initial: 'on', events: [] }, SYDNEY)).toEqual(
+      []
+    );
+  });
+});
+
+describe('getLocalDayBoundaries', () => {
+  it('should return a 1440 minute day without a daylight saving change', () => {
+    expect(getLocalDayBoundaries('2024-03-05', SYDNEY)).toEqual({
+      start: Date.parse('2024-03-05T00:00:00+11:00'),
+      end: Date.parse('2024-03-06T00:00:00+11:00'),
+      minutes: 1440,
+    });
+  });
+
+  it('should return a 1380 minute day when daylight saving starts', () => {
+    expect(getLocalDayBoundaries('2024-03-10', 'America/New_York')).toEqual({
+      start: Date.parse('2024-03-10T00:00:00-05:00'),
+      end: Date.parse('2024-03-11T00:00:00-04:00'),
+      minutes: 1380,
+    });
+  });
+
+  it('should return a full day before a date the time zone skips', () => {
+    expect(getLocalDayBoundaries('2011-12-29', 'Pacific/Apia')).toEqual({
+      start: Date.parse('2011-12-29T00:00:00-10:00'),
+      end: Date.parse('2011-12-31T00:00:00+14:00'),
+      minutes: 1440,
+    });
+  });
+
+  it('should return a day of no time for a date the time zone skips', () => {
+    expect(getLocalDayBoundaries('2011-12-30', 'Pacific/Apia')).toEqual({
+      start: Date.parse('2011-12-31T00:00:00+14:00'),
+      end: Date.parse('2011-12-31T00:00:00+14:00'),
+      minutes: 0,
+    });
+  });
+
+  it('should start the day when the clocks go forward where midnight is skipped', () => {
+    expect(getLocalDayBoundaries('2018-11-04', 'America/Sao_Paulo')).toEqual({
+      start: Date.parse('2018-11-04T01:00:00-02:00'),
+      end: Date.parse('2018-11-05T00:00:00-02:00'),
+      minutes: 1380,
+    });
+  });
+});
+
+describe('getLocalDate', () => {
+  it('should return the local date of a millisecond timestamp', () => {
+    expect(getLocalDate(Date.parse('2024-03-04T14:00:00Z'), SYDNEY)).toBe(
+      '2024-03-05'
+    );
+  });
+
+  it('should return the local date of an ISO-8601 timestamp', () => {
+    expect(getLocalDate('2024-03-04T14:00:00Z', 'America/New_York')).toBe(
+      '2024-03-04'
+    );
+  });
+});
+
+describe('toEpochMilliseconds', () => {
+  it('should accept milliseconds', () => {
+    expect(toEpochMilliseconds(1700000000000)).toBe(1700000000000);
+  });
+
+  it('should parse ISO-8601 strings', () => {
+    expect(toEpochMilliseconds('1970-01-01T00:01:00Z')).toBe(60000);
+  });
+
+  it('should parse ISO-8601 strings with an offset', () => {
+    expect(toEpochMilliseconds('1970-01-01T10:01:00+10:00')).toBe(60000);
+  });
+
+  it('should throw error for a non-numeric timestamp', () => {
+    expect(() => toEpochMilliseconds(null)).toThrow(/invalid timestamp/);
+  });
+
+  it('should throw error for an ISO-8601 string without an offset', () => {
+    expect(() => toEpochMilliseconds('2024-04-07T01:00:00')).toThrow(
+      /invalid timestamp/
+    );
+  });
+
+  it('should throw error for a date without a time', () => {
+    expect(() => toEpochMilliseconds('2024-04-07')).toThrow(
+      /invalid timestamp/
+    );
+  });
+});
+
+describe('validateTimeZone', () => {
+  it('should accept an IANA time zone', () => {
+    expect(() => validateTimeZone(SYDNEY)).not.toThrow();
+  });
+
+  it('should throw error for a missing time zone', () => {
+    expect(() => validateTimeZone(undefined)).toThrow(/invalid time zone/);
+  });
+});
@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+const fs = require('fs/promises');
+const { parseArgs } = require('util');
+const {
+  calculateEnergyUsageSimple,
+  calculateEnergySavings,
+  calculateEnergyUsageForDay,
+  calculateEnergySavingsForDay,
+  calculateEnergyUsageForRange,
+  inspectProfile,
+  SEVERITY,
+} = require('./index');
+const { EnergyCalculationError } = require('./errors');
+
+/**
+ * COMMAND LINE
+ *
+ * Runs the calculators from a shell, reading a JSON usage profile from a file, or from stdin when
+ * the file is '-' or left out:
+ * ```
+ * honey-energy usage profile.json [--day 4 [--day-start 360]] [--json]
+ * honey-energy savings profile.json [--day 4 [--day-start 360]] [--json]
+ * honey-energy range profile.json --from 1 --to 30 [--day-start 360] [--json]
+ * ```
+ * `--day-start` is the minutes after midnight that each day of a month profile starts, as the
+ * `dayStartOffset` of the calculators. Results are printed as a table, or as JSON with `--json`.
+ * The exit code tells scripts what went wrong, see `EXIT_CODE`.
+ */
+
+const EXIT_CODE = {
+  OK: 0,
+  // The profile or a day number failed validation
+  INVALID_PROFILE: 1,
+  // The command or its options were not understood
+  USAGE_ERROR: 2,
+  // The profile could not be read or is not valid JSON
+  INPUT_ERROR: 3,
+  // Anything else, which is a bug
+  INTERNAL_ERROR: 4,
+};
+
+const USAGE = `Usage:
+  honey-energy usage [file] [--day <day> [--day-start <minutes>]] [--json]
+  honey-energy savings [file] [--day <day> [--day-start <minutes>]] [--json]
+  honey-energy range [file] --from <day> --to <day> [--day-start <minutes>] [--json]
+
+Reads a JSON usage profile from file, or from stdin when file is '-' or left out.`;
+
+const OPTIONS = {
+  day: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  'day-start': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+/** An error in the command line arguments or input, with the exit code to report it with */
+class CliError extends Error {
+  /**
+   * @param {string} message Human-readable description of the error
+   * @param {number} exitCode One of the EXIT_CODE values
+   */
+  constructor(message, exitCode) {
+    super(message);
+    this.name = this.constructor.name;
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Parses a day number option
+ *
+ * Range checks are left to the calculators, so that they fail with the usual validation error.
+ *
+ * @param {string} value The option value
+ * @param {string} name The option name
+ * @returns {number} The day number
+ * @throws {CliError} When the option is missing or is not a number
+ */
+const parseDayOption = (value, name) => {
+  if (value === undefined) {
+    throw new CliError(`missing --${name} option`, EXIT_CODE.USAGE_ERROR);
+  }
+  const day = Number(value);
+  if (value.trim() === '' || Number.isNaN(day)) {
+    throw new CliError(`--${name} must be a number`, EXIT_CODE.USAGE_ERROR);
+  }
+  return day;
+};
+
+/**
+ * Parses the day start option into the options for the month calculators
+ *
+ * Range checks are left to the calculators, as for day numbers.
+ *
+ * @param {Object} options The parsed options
+ * @returns {Object} Object containing the dayStartOffset, 0 when the option is left out
+ * @throws {CliError} When the option is not a number
+ */
+const parseDayStartOption = (options) => {
+  const value = options['day-start'];
+  if (value === undefined) {
+    return { dayStartOffset: 0 };
+  }
+  const dayStartOffset = Number(value);
+  if (value.trim() === '' || Number.isNaN(dayStartOffset)) {
+    throw new CliError('--day-start must be a number', EXIT_CODE.USAGE_ERROR);
+  }
+  return { dayStartOffset };
+};
+
+/**
+ * Rejects a day start for a single-day profile, which has no days to shift
+ *
+ * @param {Object} options The parsed options
+ * @throws {CliError} When --day-start is given
+ */
+const rejectDayStartWithoutDay = (options) => {
+  if (options['day-start'] !== undefined) {
+    throw new CliError('--day-start needs --day', EXIT_CODE.USAGE_ERROR);
+  }
+};
+
+/**
+ * Reads a stream to the end
+ * @param {Readable} stream The stream to read
+ * @returns {Promise<string>} The contents of the stream
+ */
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? chunk : chunk.toString('utf8'));
+  }
+  return chunks.join('');
+};
+
+/**
+ * Reads and parses the JSON usage profile
+ *
+ * @param {string} [file] The file to read, or '-' or undefined for stdin
+ * @param {Readable} stdin The stream to read when there is no file
+ * @returns {Promise<Object>} The parsed profile, which has not been validated yet
+ * @throws {CliError} When the input cannot be read or is not valid JSON
+ */
+const readProfile = async (file, stdin) => {
+  const source = file === undefined || file === '-' ? 'stdin' : file;
+
+  let contents;
+  try {
+    contents =
+      source === 'stdin'
+        ? await readStream(stdin)
+        : await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new CliError(
+      `cannot read ${source}: ${error.message}`,
+      EXIT_CODE.INPUT_ERROR
+    );
+  }
+
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new CliError(
+      `${source} is not valid JSON: ${error.message}`,
+      EXIT_CODE.INPUT_ERROR
+    );
+  }
+};
+
+/**
+ * Checks the profile and its events before running a command
+ *
+ * The calculators assume every event is an object, so a malformed event such as `null` is caught
+ * here rather than failing inside a calculator. Timestamp ranges depend on the command and are
+ * left to the calculators.
+ *
+ * @param {Object} profile The parsed profile
+ * @throws {CliError} When the profile or one of its events is invalid
+ */
+const checkProfile = (profile) => {
+  const error = inspectProfile(profile, { days: Infinity }).find(
+    (issue) => issue.severity === SEVERITY.ERROR
+  );
+  if (error) {
+    const location = error.index === undefined ? '' : `event ${error.index}: `;
+    throw new CliError(
+      `${location}${error.message} (${error.code})`,
+      EXIT_CODE.INVALID_PROFILE
+    );
+  }
+};
+
+/**
+ * Formats rows as a table with right-aligned columns
+ *
+ * @param {Array<string>} headings The column headings
+ * @param {Array<Array>} rows The rows of values
+ * @returns {string} The table
+ */
+const formatTable = (headings, rows) => {
+  const lines = [headings, ...rows].map((row) => row.map(String));
+  const widths = headings.map((heading, column) =>
+    Math.max(...lines.map((line) => line[column].length))
+  );
+  return lines
+    .map((line) =>
+      line.map((value, column) => value.padStart(widths[column])).join('  ')
+    )
+    .join('\n');
+};
+
+const COMMANDS = {
+  /**
+   * Calculates the usage of a profile, or of one day of a month profile
+   *
+   * @param {Object} profile The usage profile
+   * @param {Object} options The parsed options
+   * @returns {Object} Object containing the result as data, and as a table
+   */
+  usage: (profile, options) => {
+    if (options.day === undefined) {
+      rejectDayStartWithoutDay(options);
+      const usage = calculateEnergyUsageSimple(profile);
+      return { data: { usage }, table: formatTable(['Usage'], [[usage]]) };
+    }
+
+    const day = parseDayOption(options.day, 'day');
+    const usage = calculateEnergyUsageForDay(
+      profile,
+      day,
+      parseDayStartOption(options)
+    );
+    return {
+      data: { day, usage },
+      table: formatTable(['Day', 'Usage'], [[day, usage]]),
+    };
+  },
+
+  /**
+   * Calculates the savings of a profile, or of one day of a month profile
+   *
+   * @param {Object} profile The usage profile
+   * @param {Object} options The parsed options
+   * @returns {Object} Object containing the result as data, and as a table
+   */
+  savings: (profile, options) => {
+    if (options.day === undefined) {
+      rejectDayStartWithoutDay(options);
+      const savings = calculateEnergySavings(profile);
+      return {
+        data: { savings },
+        table: formatTable(['Savings'], [[savings]]),
+      };
+    }
+
+    const day = parseDayOption(options.day, 'day');
+    const savings = calculateEnergySavingsForDay(
+      profile,
+      day,
+      parseDayStartOption(options)
+    );
+    return {
+      data: { day, savings },
+      table: formatTable(['Day', 'Savings'], [[day, savings]]),
+    };
+  },
+
+  /**
+   * Calculates the usage and savings of each day in a range of a month profile
+   *
+   * @param {Object} profile The usage profile
+   * @param {Object} options The parsed options
+   * @returns {Object} Object containing the results as data, and as a table
+   */
+  range: (profile, options) => {
+    const from = parseDayOption(options.from, 'from');
+    const to = parseDayOption(options.to, 'to');
+    const dayOptions = parseDayStartOption(options);
+
+    const days = calculateEnergyUsageForRange(
+      profile,
+      from,
+      to,
+      dayOptions
+    ).map((usage, i) => ({
+      day: from + i,
+      usage,
+      savings: calculateEnergySavingsForDay(profile, from + i, dayOptions),
+    }));
+
+    return {
+      data: days,
+      table: formatTable(
+        ['Day', 'Usage', 'Savings'],
+        days.map(({ day, usage, savings }) => [day, usage, savings])
+      ),
+    };
+  },
+};
+
+/**
+ * Runs the command line interface
+ *
+ * @param {Array<string>} args The command line arguments, without the node and script paths
+ * @param {Object} [io]
+ * @param {Readable} [io.stdin=process.stdin] The stream to read the profile from when there is no file
+ * @param {Writable} [io.stdout=process.stdout] The stream to write results to
+ * @param {Writable} [io.stderr=process.stderr] The stream to write errors to
+ * @returns {Promise<number>} The exit code, one of the EXIT_CODE values
+ */
+const run = async (
+  args,
+  {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = {}
+) => {
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODE.USAGE_ERROR);
+    }
+
+    const { values: options, positionals } = parsed;
+    const [command, file, ...extra] = positionals;
+
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return EXIT_CODE.OK;
+    }
+    if (!COMMANDS.hasOwnProperty(command)) {
+      throw new CliError(
+        command === undefined
+          ? 'missing command'
+          : `unknown command '${command}'`,
+        EXIT_CODE.USAGE_ERROR
+      );
+    }
+    if (extra.length > 0) {
+      throw new CliError(
+        `unexpected argument '${extra[0]}'`,
+        EXIT_CODE.USAGE_ERROR
+      );
+    }
+
+    const profile = await readProfile(file, stdin);
+    checkProfile(profile);
+    const { data, table } = COMMANDS[command](profile, options);
+
+    stdout.write(`${options.json ? JSON.stringify(data) : table}\n`);
+    return EXIT_CODE.OK;
+  } catch (error) {
+    if (error instanceof CliError) {
+      stderr.write(`honey-energy: ${error.message}\n`);
+      if (error.exitCode === EXIT_CODE.USAGE_ERROR) {
+        stderr.write(`${USAGE}\n`);
+      }
+      return error.exitCode;
+    }
+    if (error instanceof EnergyCalculationError) {
+      stderr.write(`honey-energy: ${error.message} (${error.code})\n`);
+      return EXIT_CODE.INVALID_PROFILE;
+    }
+    throw error;
+  }
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(
+    (exitCode) => {
+      process.exitCode = exitCode;
+    },
+    (error) => {
+      console.error(error);
+      process.exitCode = EXIT_CODE.INTERNAL_ERROR;
+    }
+  );
+}
+
+module.exports = {
+  run,
+  EXIT_CODE,
+};
@@ -0,0 +1,229 @@
+const { Readable } = require('stream');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, EXIT_CODE } = require('./cli');
+const { MAX_IN_PERIOD } = require('./index');
+
+const dayProfile = {
+  initial: 'on',
+  events: [
+    { state: 'off', timestamp: 100 },
+    { state: 'on', timestamp: 200 },
+    { state: 'auto-off', timestamp: 500 },
+  ],
+};
+
+const monthProfile = {
+  initial: 'off',
+  events: [
+    { state: 'on', timestamp: 1400 },
+    { state: 'auto-off', timestamp: 1500 },
+    { state: 'on', timestamp: 3000 },
+  ],
+};
+
+// Runs the CLI with the profile on stdin, and collects what it writes
+const runCli = async (args, stdinContents = JSON.stringify(monthProfile)) => {
+  const output = { stdout: '', stderr: '' };
+  const exitCode = await run(args, {
+    stdin: Readable.from([stdinContents]),
+    stdout: { write: (text) => (output.stdout += text) },
+    stderr: { write: (text) => (output.stderr += text) },
+  });
+  return { exitCode, ...output };
+};
+
+describe('honey-energy usage', () => {
+  it('should print the usage of the profile', async () => {
+    expect(await runCli(['usage'], JSON.stringify(dayProfile))).toEqual({
+      exitCode: EXIT_CODE.OK,
+      stdout: 'Usage\n  400\n',
+      stderr: '',
+    });
+  });
+
+  it('should print the usage for a day as JSON', async () => {
+    expect((await runCli(['usage', '--day', '2', '--json'])).stdout).toEqual(
+      '{"day":2,"usage":60}\n'
+    );
+  });
+
+  it('should start the day after midnight with --day-start', async () => {
+    expect(
+      (await runCli(['usage', '--day', '1', '--day-start', '60', '--json']))
+        .stdout
+    ).toEqual('{"day":1,"usage":100}\n');
+  });
+
+  it('should read the profile from a file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'honey-energy-'));
+    const file = path.join(directory, 'profile.json');
+    fs.writeFileSync(file, JSON.stringify(dayProfile));
+
+    try {
+      expect((await runCli(['usage', file, '--json'], '')).stdout).toEqual(
+        '{"usage":400}\n'
+      );
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  });
+});
+
+describe('honey-energy savings', () => {
+  it('should print the savings of the profile as JSON', async () => {
+    expect(
+      (await runCli(['savings', '-', '--json'], JSON.stringify(dayProfile)))
+        .stdout
+    ).toEqual(`{"savings":${MAX_IN_PERIOD - 500}}\n`);
+  });
+
+  it('should print the savings for a day', async () => {
+    expect((await runCli(['savings', '--day', '2'])).stdout).toEqual(
+      'Day  Savings\n  2     1380\n'
+    );
+  });
+});
+
+describe('honey-energy range', () => {
+  it('should print a table of each day in the range', async () => {
+    expect(
+      (await runCli(['range', '--from', '1', '--to', '3'])).stdout
+    ).toEqual(
+      [
+        'Day  Usage  Savings',
+        '  1     40        0',
+        '  2     60     1380',
+        '  3   1320      120',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should print each day in the range as JSON', async () => {
+    const { stdout } = await runCli([
+      'range',
+      '--from',
+      '2',
+      '--to',
+      '3',
+      '--json',
+    ]);
+    expect(JSON.parse(stdout)).toEqual([
+      { day: 2, usage: 60, savings: 1380 },
+      { day: 3, usage: 1320, savings: 120 },
+    ]);
+  });
+
+  it('should start each day after midnight with --day-start', async () => {
+    const { stdout } = await runCli([
+      'range',
+      '--from',
+      '1',
+      '--to',
+      '2',
+      '--day-start',
+      '60',
+      '--json',
+    ]);
+    expect(JSON.parse(stdout)).toEqual([
+      { day: 1, usage: 100, savings: 0 },
+      { day: 2, usage: 0, savings: MAX_IN_PERIOD },
+    ]);
+  });
+
+  it('should exit with a usage error without --to', async () => {
+    const { exitCode, stderr } = await runCli(['range', '--from', '1']);
+    expect(exitCode).toEqual(EXIT_CODE.USAGE_ERROR);
+    expect(stderr).toMatch(/missing --to option/);
+  });
+});
+
+describe('honey-energy errors', () => {
+  it('should exit with a validation error for an invalid profile', async () => {
+    const { exitCode, stderr } = await runCli(
+      ['usage'],
+      JSON.stringify({ initial: 'broken', events: [] })
+    );
+    expect(exitCode).toEqual(EXIT_CODE.INVALID_PROFILE);
+    expect(stderr).toEqual(
+      'honey-energy: invalid initial state (INVALID_INITIAL_STATE)\n'
+    );
+  });
+
+  it('should exit with a validation error for a malformed event', async () => {
+    const { exitCode, stderr } = await runCli(
+      ['usage'],
+      '{"initial":"on","events":[null]}'
+    );
+    expect(exitCode).toEqual(EXIT_CODE.INVALID_PROFILE);
+    expect(stderr).toEqual(
+      'honey-energy: event 0: invalid event (INVALID_EVENT)\n'
+    );
+  });
+
+  it('should exit with a validation error for an out of range day', async () => {
+    expect((await runCli(['usage', '--day', '366'])).exitCode).toEqual(
+      EXIT_CODE.INVALID_PROFILE
+    );
+  });
+
+  it('should exit with a validation error for an out of range day start', async () => {
+    const { exitCode, stderr } = await runCli([
+      'usage',
+      '--day',
+      '1',
+      '--day-start',
+      '1440',
+    ]);
+    expect(exitCode).toEqual(EXIT_CODE.INVALID_PROFILE);
+    expect(stderr).toMatch(/invalid day start offset/);
+  });
+
+  it('should exit with a usage error for a day start that is not a number', async () => {
+    expect(
+      (await runCli(['usage', '--day', '1', '--day-start', 'dawn'])).exitCode
+    ).toEqual(EXIT_CODE.USAGE_ERROR);
+  });
+
+  it('should exit with a usage error for a day start without a day', async () => {
+    const { exitCode, stderr } = await runCli(
+      ['usage', '--day-start', '360'],
+      JSON.stringify(dayProfile)
+    );
+    expect(exitCode).toEqual(EXIT_CODE.USAGE_ERROR);
+    expect(stderr).toMatch(/--day-start needs --day/);
+  });
+
+  it('should exit with an input error for invalid JSON', async () => {
+    const { exitCode, stderr } = await runCli(['usage'], '{"initial":');
+    expect(exitCode).toEqual(EXIT_CODE.INPUT_ERROR);
+    expect(stderr).toMatch(/stdin is not valid JSON/);
+  });
+
+  it('should exit with an input error for a missing file', async () => {
+    expect(
+      (await runCli(['usage', path.join(os.tmpdir(), 'no-such-profile.json')]))
+        .exitCode
+    ).toEqual(EXIT_CODE.INPUT_ERROR);
+  });
+
+  it('should exit with a usage error for an unknown command', async () => {
+    const { exitCode, stderr } = await runCli(['cost']);
+    expect(exitCode).toEqual(EXIT_CODE.USAGE_ERROR);
+    expect(stderr).toMatch(/unknown command 'cost'/);
+  });
+
+  it('should exit with a usage error for an unknown option', async () => {
+    expect((await runCli(['usage', '--week', '2'])).exitCode).toEqual(
+      EXIT_CODE.USAGE_ERROR
+    );
+  });
+
+  it('should print the usage with --help', async () => {
+    const { exitCode, stdout } = await runCli(['--help']);
+    expect(exitCode).toEqual(EXIT_CODE.OK);
+    expect(stdout).toMatch(/^Usage:/);
+  });
+});
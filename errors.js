@@ -0,0 +1,104 @@
+/**
+ * ERRORS
+ *
+ * Every error thrown by the calculators is an `EnergyCalculationError` with a machine-readable
+ * `code`, so callers can tell failures apart without matching on the message. Where it applies,
+ * the error also carries the offending `value`, the `index` of the offending event, and the
+ * allowed `range` ({ min, max }) or `allowed` values.
+ */
+
+const ERROR_CODE = {
+  INVALID_PROFILE: 'INVALID_PROFILE',
+  MISSING_INITIAL_STATE: 'MISSING_INITIAL_STATE',
+  INVALID_INITIAL_STATE: 'INVALID_INITIAL_STATE',
+  MISSING_EVENTS: 'MISSING_EVENTS',
+  INVALID_EVENTS: 'INVALID_EVENTS',
+  INVALID_STATE: 'INVALID_STATE',
+  INVALID_TIMESTAMP: 'INVALID_TIMESTAMP',
+  TIMESTAMP_OUT_OF_RANGE: 'TIMESTAMP_OUT_OF_RANGE',
+  EVENT_OUT_OF_ORDER: 'EVENT_OUT_OF_ORDER',
+  PARSE_ERROR: 'PARSE_ERROR',
+  POSITION_OUT_OF_BOUNDS: 'POSITION_OUT_OF_BOUNDS',
+  DAY_NOT_INTEGER: 'DAY_NOT_INTEGER',
+  DAY_OUT_OF_RANGE: 'DAY_OUT_OF_RANGE',
+  INVALID_DAY_RANGE: 'INVALID_DAY_RANGE',
+  INVALID_TIME_RANGE: 'INVALID_TIME_RANGE',
+  INVALID_DAY_START: 'INVALID_DAY_START',
+  INVALID_DATE: 'INVALID_DATE',
+  INVALID_TIME_ZONE: 'INVALID_TIME_ZONE',
+  INVALID_APPLIANCE: 'INVALID_APPLIANCE',
+  INVALID_STATE_DEFINITION: 'INVALID_STATE_DEFINITION',
+  INVALID_THRESHOLD: 'INVALID_THRESHOLD',
+  INVALID_BUCKET_SIZE: 'INVALID_BUCKET_SIZE',
+  INVALID_TARIFF: 'INVALID_TARIFF',
+  INVALID_HOUSEHOLD: 'INVALID_HOUSEHOLD',
+  INVALID_SOURCE: 'INVALID_SOURCE',
+};
+
+class EnergyCalculationError extends Error {
+  /**
+   * @param {string} message Human-readable description of the error
+   * @param {string} code One of the ERROR_CODE values
+   * @param {Object} [context] Details of the error, such as value, index, range or allowed
+   */
+  constructor(message, code, context = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, context);
+  }
+}
+
+/** A usage profile or one of its events is invalid */
+class ProfileValidationError extends EnergyCalculationError {}
+
+/** An initial or event state is not a known state */
+class InvalidStateError extends ProfileValidationError {}
+
+/** A line of an event log could not be parsed, the error carries its `line` number */
+class ParseError extends ProfileValidationError {}
+
+/** A day number, or range of day numbers, is invalid */
+class DayRangeError extends EnergyCalculationError {}
+
+/** A time range, day start, timestamp order or calendar date is invalid */
+class TimeRangeError extends EnergyCalculationError {}
+
+/** An appliance, tariff, household, time zone, state definition, threshold, bucket size or event source is misconfigured */
+class ConfigurationError extends EnergyCalculationError {}
+
+/**
+ * Runs a function on behalf of an owner, such as an appliance, naming the owner in any error it throws
+ *
+ * The original error is rethrown, keeping its class and code, with the owner prefixed to the
+ * message (as in `appliance 'heater': invalid state`) and its name set as `error[property]`.
+ *
+ * @param {Object} owner
+ * @param {string} owner.kind The kind of owner, as it reads in the message
+ * @param {string} owner.property The error property to set to the owner's name
+ * @param {string} owner.name The name of the owner
+ * @param {Function} run The function to run
+ * @returns {*} The result of the function
+ * @throws {Error} When the function fails
+ */
+const withErrorOwner = ({ kind, property, name }, run) => {
+  try {
+    return run();
+  } catch (error) {
+    error.message = `${kind} '${name}': ${error.message}`;
+    error[property] = name;
+    throw error;
+  }
+};
+
+module.exports = {
+  EnergyCalculationError,
+  ProfileValidationError,
+  InvalidStateError,
+  ParseError,
+  DayRangeError,
+  TimeRangeError,
+  ConfigurationError,
+  withErrorOwner,
+  ERROR_CODE,
+};
@@ -0,0 +1,234 @@
+const {
+  EnergyCalculationError,
+  ProfileValidationError,
+  InvalidStateError,
+  DayRangeError,
+  TimeRangeError,
+  ConfigurationError,
+  withErrorOwner,
+  ERROR_CODE,
+} = require('./errors');
+const {
+  calculateEnergyUsageSimple,
+  calculateEnergySavings,
+  calculateEnergyUsageForDay,
+  calculateEnergySavingsForDay,
+  calculateEnergyUsageForRange,
+  createUsageIndex,
+  validateProfile,
+  validateAppliance,
+} = require('./index');
+const { calculateHouseholdSimple } = require('./household');
+
+// Returns the error thrown by a function, so that its properties can be checked
+const catchError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected function to throw');
+};
+
+describe('EnergyCalculationError', () => {
+  it('should set the name, message and code', () => {
+    const error = new DayRangeError('day out of range', 'DAY_OUT_OF_RANGE');
+    expect(error).toMatchObject({
+      name: 'DayRangeError',
+      message: 'day out of range',
+      code: 'DAY_OUT_OF_RANGE',
+    });
+  });
+
+  it('should be an instance of Error', () => {
+    expect(new TimeRangeError('invalid', 'INVALID_TIME_RANGE')).toBeInstanceOf(
+      Error
+    );
+  });
+
+  it('should make InvalidStateError a ProfileValidationError', () => {
+    expect(
+      new InvalidStateError('invalid state', 'INVALID_STATE')
+    ).toBeInstanceOf(ProfileValidationError);
+  });
+});
+
+describe('withErrorOwner', () => {
+  const owner = { kind: 'appliance', property: 'applianceId', name: 'heater' };
+
+  it('should return the result of the function', () => {
+    expect(withErrorOwner(owner, () => 42)).toBe(42);
+  });
+
+  it('should name the owner and keep the class and code of the error', () => {
+    const error = catchError(() =>
+      withErrorOwner(owner, () => validateProfile({ initial: 'broken' }))
+    );
+    expect(error).toBeInstanceOf(InvalidStateError);
+    expect(error).toMatchObject({
+      message: "appliance 'heater': invalid initial state",
+      code: ERROR_CODE.INVALID_INITIAL_STATE,
+      applianceId: 'heater',
+    });
+  });
+});
+
+describe('calculator errors', () => {
+  const monthProfile = { initial: 'on', events: [] };
+
+  it('should throw DayRangeError with the value and range for an out of range day', () => {
+    const error = catchError(() =>
+      calculateEnergyUsageForDay(monthProfile, 366)
+    );
+    expect(error).toBeInstanceOf(DayRangeError);
+    expect(error).toMatchObject({
+      code: ERROR_CODE.DAY_OUT_OF_RANGE,
+      value: 366,
+      range: { min: 1, max: 365 },
+    });
+  });
+
+  it('should throw DayRangeError for a non-integer day', () => {
+    const error = catchError(() =>
+      calculateEnergyUsageForDay(monthProfile, 2.5)
+    );
+    expect(error).toMatchObject({
+      name: 'DayRangeError',
+      code: ERROR_CODE.DAY_NOT_INTEGER,
+      value: 2.5,
+    });
+  });
+
+  it('should throw InvalidStateError with the event index for an invalid state', () => {
+    const error = catchError(() =>
+      calculateEnergySavings({
+        initial: 'off',
+        events: [
+          { state: 'on', timestamp: 10 },
+          { state: 'broken', timestamp: 20 },
+        ],
+      })
+    );
+    expect(error).toBeInstanceOf(InvalidStateError);
+    expect(error).toMatchObject({
+      code: ERROR_CODE.INVALID_STATE,
+      value: 'broken',
+      index: 1,
+      allowed: ['on', 'off', 'auto-off'],
+    });
+  });
+
+  describe('should give the index in the original events for month calculators', () => {
+    const monthProfile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 2000 },
+        { state: 'on', timestamp: 100 },
+        { state: 'off', timestamp: 1600 },
+        { state: 'broken', timestamp: 1700 },
+      ],
+    };
+
+    it('should give the index for calculateEnergyUsageForDay', () => {
+      expect(
+        catchError(() => calculateEnergyUsageForDay(monthProfile, 2)).index
+      ).toBe(3);
+    });
+
+    it('should give the index for calculateEnergySavingsForDay', () => {
+      expect(
+        catchError(() => calculateEnergySavingsForDay(monthProfile, 2)).index
+      ).toBe(3);
+    });
+
+    it('should give the index for calculateEnergyUsageForRange', () => {
+      expect(
+        catchError(() => calculateEnergyUsageForRange(monthProfile, 2, 3)).index
+      ).toBe(3);
+    });
+
+    it('should give the index for an invalid timestamp', () => {
+      const error = catchError(() =>
+        calculateEnergyUsageForDay(
+          {
+            initial: 'off',
+            events: [...monthProfile.events.slice(0, 3), { state: 'on' }],
+          },
+          2
+        )
+      );
+      expect(error).toMatchObject({
+        code: ERROR_CODE.INVALID_TIMESTAMP,
+        index: 3,
+      });
+    });
+  });
+
+  it('should throw InvalidStateError for an invalid initial state', () => {
+    const error = catchError(() =>
+      validateProfile({ initial: 'broken', events: [] })
+    );
+    expect(error).toMatchObject({
+      name: 'InvalidStateError',
+      code: ERROR_CODE.INVALID_INITIAL_STATE,
+      value: 'broken',
+    });
+  });
+
+  it('should throw ProfileValidationError with the event index for a timestamp out of range', () => {
+    const error = catchError(() =>
+      calculateEnergyUsageSimple({
+        initial: 'off',
+        events: [{ state: 'on', timestamp: 1500 }],
+      })
+    );
+    expect(error).toMatchObject({
+      name: 'ProfileValidationError',
+      code: ERROR_CODE.TIMESTAMP_OUT_OF_RANGE,
+      value: 1500,
+      index: 0,
+      range: { min: 0, max: 1440 },
+    });
+  });
+
+  it('should throw ProfileValidationError for a missing events array', () => {
+    const error = catchError(() => validateProfile({ initial: 'on' }));
+    expect(error).toMatchObject({
+      name: 'ProfileValidationError',
+      code: ERROR_CODE.MISSING_EVENTS,
+    });
+  });
+
+  it('should throw TimeRangeError for an inverted time range', () => {
+    const error = catchError(() =>
+      createUsageIndex(monthProfile).usageBetween(20, 10)
+    );
+    expect(error).toMatchObject({
+      name: 'TimeRangeError',
+      code: ERROR_CODE.INVALID_TIME_RANGE,
+      value: { start: 20, end: 10 },
+    });
+  });
+
+  it('should throw ConfigurationError for an invalid appliance', () => {
+    const error = catchError(() => validateAppliance({ ratedWatts: -1 }));
+    expect(error).toBeInstanceOf(ConfigurationError);
+  });
+
+  it('should keep the error class and code when naming the appliance', () => {
+    const error = catchError(() =>
+      calculateHouseholdSimple({ kettle: { initial: 'boiling', events: [] } })
+    );
+    expect(error).toMatchObject({
+      name: 'InvalidStateError',
+      code: ERROR_CODE.INVALID_INITIAL_STATE,
+      applianceId: 'kettle',
+    });
+  });
+
+  it('should make every error an EnergyCalculationError', () => {
+    expect(catchError(() => validateProfile(null))).toBeInstanceOf(
+      EnergyCalculationError
+    );
+  });
+});
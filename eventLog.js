@@ -0,0 +1,411 @@
+const readline = require('readline');
+const { Readable } = require('stream');
+const { validateProfile, getRegisteredStates, STATE } = require('./index');
+const { ParseError, ERROR_CODE } = require('./errors');
+
+/**
+ * EVENT LOGS
+ *
+ * Smart plugs export their events as CSV rows (`timestamp,state`), and the data lake stores them
+ * as NDJSON (one JSON object per line). The parsers below read either format line by line from a
+ * stream, so a large log never has to be held in memory as a single string, and build a usage
+ * profile from it. The serialisers write a profile back out, one line at a time.
+ *
+ * CSV logs have no initial state, so it is given with the `initial` option. NDJSON logs can
+ * start with an `{ "initial": "on" }` line, which the NDJSON serialiser always writes.
+ */
+
+const DEFAULT_TIMESTAMP_COLUMN = 'timestamp';
+const DEFAULT_STATE_COLUMN = 'state';
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Reads the lines of a string or readable stream
+ *
+ * @param {string|Readable} input The log contents, or a stream of them
+ * @returns {AsyncGenerator<Object>} The non-blank lines as { text, lineNumber }
+ */
+async function* readLines(input) {
+  const stream = typeof input === 'string' ? Readable.from([input]) : input;
+  const lines = readline.createInterface({
+    input: stream,
+    crlfDelay: Infinity,
+  });
+
+  let lineNumber = 0;
+  for await (const text of lines) {
+    lineNumber++;
+    if (text.trim() !== '') {
+      yield { text, lineNumber };
+    }
+  }
+}
+
+/**
+ * Creates a parse error for a line of a log
+ *
+ * @param {number} lineNumber The line the error is on
+ * @param {string} message Description of the error
+ * @param {string} code One of the ERROR_CODE values
+ * @param {*} value The offending value
+ * @returns {ParseError} The parse error
+ */
+const createParseError = (lineNumber, message, code, value) => {
+  return new ParseError(`line ${lineNumber}: ${message}`, code, {
+    line: lineNumber,
+    value,
+  });
+};
+
+/**
+ * Parses a timestamp value from a log
+ *
+ * @param {*} value The value to parse
+ * @param {number} lineNumber The line the value is on
+ * @returns {number} The timestamp
+ * @throws {ParseError} When the value is not a number
+ */
+const parseTimestamp = (value, lineNumber) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && NUMERIC_PATTERN.test(value)) {
+    return Number(value);
+  }
+  throw createParseError(
+    lineNumber,
+    'invalid timestamp',
+    ERROR_CODE.INVALID_TIMESTAMP,
+    value
+  );
+};
+
+/**
+ * Parses a state value from a log
+ *
+ * @param {*} value The value to parse
+ * @param {number} lineNumber The line the value is on
+ * @returns {string} The state
+ * @throws {ParseError} When the value is not a valid state
+ */
+const parseState = (value, lineNumber) => {
+  if (!getRegisteredStates().includes(value)) {
+    throw createParseError(
+      lineNumber,
+      'invalid state',
+      ERROR_CODE.INVALID_STATE,
+      value
+    );
+  }
+  return value;
+};
+
+/**
+ * Splits a CSV line into its fields, allowing double-quoted fields
+ *
+ * @param {string} line The CSV line
+ * @param {string} delimiter The field delimiter
+ * @returns {Array<string>|null} The trimmed fields, or null if a quoted field is not closed
+ */
+const splitCsvLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const character = line[i];
+
+    if (quoted && character === '"' && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    } else if (character === '"') {
+      quoted = !quoted;
+    } else if (character === delimiter && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+
+  if (quoted) {
+    return null;
+  }
+
+  fields.push(field.trim());
+  return fields;
+};
+
+/**
+ * Quotes a CSV field if it contains the delimiter, a quote or a line break
+ *
+ * @param {string|number} value The field value
+ * @param {string} delimiter The field delimiter
+ * @returns {string} The field, quoted if needed
+ */
+const quoteCsvField = (value, delimiter) => {
+  const text = String(value);
+  if (text.includes(delimiter) || text.includes('"') || text.includes('\n')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Finds the position of a column in a CSV row
+ *
+ * @param {string|number} column The column name, or its position
+ * @param {Array<string>} header The header fields, or null if there is no header
+ * @param {number} defaultPosition The position to use for a named column without a header
+ * @returns {number} The position of the column, or -1 if the header does not have it
+ */
+const findColumn = (column, header, defaultPosition) => {
+  if (typeof column === 'number') {
+    return column;
+  }
+  if (!header) {
+    return defaultPosition;
+  }
+  return header.findIndex(
+    (name) => name.toLowerCase() === column.toLowerCase()
+  );
+};
+
+/**
+ * Parses a CSV event log into a usage profile
+ *
+ * Columns can be given by name or by position. With `header: 'auto'`, the first line is treated as
+ * a header when it contains both column names, or when its timestamp column isn't a number if the
+ * columns are given by position. Without a header, named columns fall back to timestamp first and
+ * state second.
+ *
+ * @param {string|Readable} input The CSV contents, or a stream of them
+ * @param {Object} [options]
+ * @param {string} [options.initial='off'] The initial state of the appliance
+ * @param {string|number} [options.timestampColumn='timestamp'] The timestamp column name or position
+ * @param {string|number} [options.stateColumn='state'] The state column name or position
+ * @param {boolean|string} [options.header='auto'] Whether the first line is a header, or 'auto' to detect it
+ * @param {string} [options.delimiter=','] The field delimiter
+ * @returns {Promise<Object>} The usage profile
+ * @throws {ParseError} When a line cannot be parsed, with the line number
+ */
+const parseCsvProfile = async (
+  input,
+  {
+    initial = STATE.OFF,
+    timestampColumn = DEFAULT_TIMESTAMP_COLUMN,
+    stateColumn = DEFAULT_STATE_COLUMN,
+    header = 'auto',
+    delimiter = ',',
+  } = {}
+) => {
+  const events = [];
+  let timestampPosition;
+  let statePosition;
+
+  for await (const { text, lineNumber } of readLines(input)) {
+    const fields = splitCsvLine(text, delimiter);
+    if (!fields) {
+      throw createParseError(
+        lineNumber,
+        'unterminated quoted field',
+        ERROR_CODE.PARSE_ERROR,
+        text
+      );
+    }
+
+    // The first line decides where the columns are.
+    if (timestampPosition === undefined) {
+      const headerTimestamp = findColumn(timestampColumn, fields, 0);
+      const headerState = findColumn(stateColumn, fields, 1);
+      // Columns given by position can't be looked up, so a header is detected by its timestamp.
+      const isHeader =
+        header === true ||
+        (header === 'auto' &&
+          (typeof timestampColumn === 'number'
+            ? !NUMERIC_PATTERN.test(fields[headerTimestamp])
+            : headerTimestamp !== -1 && headerState !== -1));
+
+      if (isHeader) {
+        if (headerTimestamp === -1 || headerState === -1) {
+          throw createParseError(
+            lineNumber,
+            'header is missing the timestamp or state column',
+            ERROR_CODE.PARSE_ERROR,
+            text
+          );
+        }
+        timestampPosition = headerTimestamp;
+        statePosition = headerState;
+        continue;
+      }
+
+      timestampPosition = findColumn(timestampColumn, null, 0);
+      statePosition = findColumn(stateColumn, null, 1);
+    }
+
+    if (fields.length <= Math.max(timestampPosition, statePosition)) {
+      throw createParseError(
+        lineNumber,
+        'missing column',
+        ERROR_CODE.PARSE_ERROR,
+        text
+      );
+    }
+
+    events.push({
+      state: parseState(fields[statePosition], lineNumber),
+      timestamp: parseTimestamp(fields[timestampPosition], lineNumber),
+    });
+  }
+
+  const profile = { initial, events };
+  validateProfile(profile);
+  return profile;
+};
+
+/**
+ * Parses an NDJSON event log into a usage profile
+ *
+ * The first line may be an `{ "initial": ... }` record, which takes precedence over the
+ * `initial` option.
+ *
+ * @param {string|Readable} input The NDJSON contents, or a stream of them
+ * @param {Object} [options]
+ * @param {string} [options.initial='off'] The initial state of the appliance
+ * @param {string} [options.timestampField='timestamp'] The name of the timestamp field
+ * @param {string} [options.stateField='state'] The name of the state field
+ * @returns {Promise<Object>} The usage profile
+ * @throws {ParseError} When a line cannot be parsed, with the line number
+ */
+const parseNdjsonProfile = async (
+  input,
+  {
+    initial = STATE.OFF,
+    timestampField = DEFAULT_TIMESTAMP_COLUMN,
+    stateField = DEFAULT_STATE_COLUMN,
+  } = {}
+) => {
+  const events = [];
+  let initialState = initial;
+  let isFirstRecord = true;
+
+  for await (const { text, lineNumber } of readLines(input)) {
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      throw createParseError(
+        lineNumber,
+        'invalid JSON',
+        ERROR_CODE.PARSE_ERROR,
+        text
+      );
+    }
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw createParseError(
+        lineNumber,
+        'record must be an object',
+        ERROR_CODE.PARSE_ERROR,
+        text
+      );
+    }
+
+    if (
+      isFirstRecord &&
+      record.hasOwnProperty('initial') &&
+      !record.hasOwnProperty(stateField)
+    ) {
+      initialState = parseState(record.initial, lineNumber);
+      isFirstRecord = false;
+      continue;
+    }
+    isFirstRecord = false;
+
+    events.push({
+      state: parseState(record[stateField], lineNumber),
+      timestamp: parseTimestamp(record[timestampField], lineNumber),
+    });
+  }
+
+  const profile = { initial: initialState, events };
+  validateProfile(profile);
+  return profile;
+};
+
+/**
+ * Serialises the events of a usage profile as CSV, one line at a time
+ *
+ * The initial state is not written, as CSV logs do not have one.
+ *
+ * @param {Object} profile The usage profile
+ * @param {Object} [options]
+ * @param {string} [options.timestampColumn='timestamp'] The timestamp column name
+ * @param {string} [options.stateColumn='state'] The state column name
+ * @param {boolean} [options.header=true] Whether to write a header line
+ * @param {string} [options.delimiter=','] The field delimiter
+ * @returns {Generator<string>} The CSV lines, each ending in a line break
+ * @throws {ProfileValidationError} When the profile is invalid
+ */
+function* serialiseProfileToCsv(
+  profile,
+  {
+    timestampColumn = DEFAULT_TIMESTAMP_COLUMN,
+    stateColumn = DEFAULT_STATE_COLUMN,
+    header = true,
+    delimiter = ',',
+  } = {}
+) {
+  validateProfile(profile);
+
+  const toLine = (timestamp, state) =>
+    `${quoteCsvField(timestamp, delimiter)}${delimiter}${quoteCsvField(
+      state,
+      delimiter
+    )}\n`;
+
+  if (header) {
+    yield toLine(timestampColumn, stateColumn);
+  }
+  for (const event of profile.events) {
+    yield toLine(event.timestamp, event.state);
+  }
+}
+
+/**
+ * Serialises a usage profile as NDJSON, one line at a time
+ *
+ * The first line holds the initial state, and each following line holds an event.
+ *
+ * @param {Object} profile The usage profile
+ * @param {Object} [options]
+ * @param {string} [options.timestampField='timestamp'] The name of the timestamp field
+ * @param {string} [options.stateField='state'] The name of the state field
+ * @returns {Generator<string>} The NDJSON lines, each ending in a line break
+ * @throws {ProfileValidationError} When the profile is invalid
+ */
+function* serialiseProfileToNdjson(
+  profile,
+  {
+    timestampField = DEFAULT_TIMESTAMP_COLUMN,
+    stateField = DEFAULT_STATE_COLUMN,
+  } = {}
+) {
+  validateProfile(profile);
+
+  yield `${JSON.stringify({ initial: profile.initial })}\n`;
+  for (const event of profile.events) {
+    yield `${JSON.stringify({
+      [timestampField]: event.timestamp,
+      [stateField]: event.state,
+    })}\n`;
+  }
+}
+
+module.exports = {
+  parseCsvProfile,
+  parseNdjsonProfile,
+  serialiseProfileToCsv,
+  serialiseProfileToNdjson,
+};
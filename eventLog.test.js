@@ -0,0 +1,212 @@
+const { Readable } = require('stream');
+const {
+  parseCsvProfile,
+  parseNdjsonProfile,
+  serialiseProfileToCsv,
+  serialiseProfileToNdjson,
+} = require('./eventLog');
+const { ParseError } = require('./errors');
+
+const profile = {
+  initial: 'on',
+  events: [
+    { state: 'off', timestamp: 30 },
+    { state: 'on', timestamp: 120 },
+    { state: 'auto-off', timestamp: 300 },
+  ],
+};
+
+describe('parseCsvProfile', () => {
+  it('should build a profile from CSV rows with a header', async () => {
+    const csv = 'timestamp,state\n30,off\n120,on\n300,auto-off\n';
+    expect(await parseCsvProfile(csv, { initial: 'on' })).toEqual(profile);
+  });
+
+  it('should default the initial state to off', async () => {
+    const csv = 'timestamp,state\n30,on\n';
+    expect((await parseCsvProfile(csv)).initial).toEqual('off');
+  });
+
+  it('should detect that there is no header', async () => {
+    const csv = '30,off\n120,on\n300,auto-off\n';
+    expect(await parseCsvProfile(csv, { initial: 'on' })).toEqual(profile);
+  });
+
+  it('should find configured columns by name in any order', async () => {
+    const csv = 'Status;Device;Time\noff;plug-1;30\non;plug-1;120\n';
+    expect(
+      await parseCsvProfile(csv, {
+        timestampColumn: 'time',
+        stateColumn: 'status',
+        delimiter: ';',
+      })
+    ).toEqual({
+      initial: 'off',
+      events: [
+        { state: 'off', timestamp: 30 },
+        { state: 'on', timestamp: 120 },
+      ],
+    });
+  });
+
+  it('should find configured columns by position without a header', async () => {
+    const csv = 'plug-1,on,30\n';
+    expect(
+      await parseCsvProfile(csv, { timestampColumn: 2, stateColumn: 1 })
+    ).toEqual({ initial: 'off', events: [{ state: 'on', timestamp: 30 }] });
+  });
+
+  it('should detect a header when columns are given by position', async () => {
+    const csv = 'device,power,time\nplug-1,on,30\n';
+    expect(
+      (await parseCsvProfile(csv, { timestampColumn: 2, stateColumn: 1 }))
+        .events
+    ).toEqual([{ state: 'on', timestamp: 30 }]);
+  });
+
+  it('should skip blank lines and accept quoted fields', async () => {
+    const csv = '"timestamp","state"\r\n\r\n"30","on"\r\n';
+    expect(await parseCsvProfile(csv)).toEqual({
+      initial: 'off',
+      events: [{ state: 'on', timestamp: 30 }],
+    });
+  });
+
+  it('should read from a stream', async () => {
+    const stream = Readable.from(['timestamp,state\n30,', 'off\n120,on\n']);
+    expect((await parseCsvProfile(stream)).events).toEqual([
+      { state: 'off', timestamp: 30 },
+      { state: 'on', timestamp: 120 },
+    ]);
+  });
+
+  it('should throw a ParseError with the line number of an invalid state', async () => {
+    const csv = 'timestamp,state\n30,on\n\n120,boil\n';
+    await expect(parseCsvProfile(csv)).rejects.toMatchObject({
+      name: 'ParseError',
+      code: 'INVALID_STATE',
+      message: 'line 4: invalid state',
+      line: 4,
+      value: 'boil',
+    });
+  });
+
+  it('should throw a ParseError for an invalid timestamp', async () => {
+    await expect(parseCsvProfile('soon,on\n')).rejects.toThrow(
+      /line 1: invalid timestamp/
+    );
+  });
+
+  it('should throw a ParseError for a row with a missing column', async () => {
+    await expect(parseCsvProfile('30,on\n120\n')).rejects.toThrow(
+      /line 2: missing column/
+    );
+  });
+
+  it('should throw a ParseError for an unterminated quoted field', async () => {
+    await expect(parseCsvProfile('"30,on\n')).rejects.toBeInstanceOf(
+      ParseError
+    );
+  });
+
+  it('should throw a ParseError for a header without the configured columns', async () => {
+    await expect(
+      parseCsvProfile('time,state\n30,on\n', { header: true })
+    ).rejects.toThrow(
+      /line 1: header is missing the timestamp or state column/
+    );
+  });
+});
+
+describe('parseNdjsonProfile', () => {
+  it('should build a profile from NDJSON records', async () => {
+    const ndjson = [
+      '{"initial":"on"}',
+      '{"timestamp":30,"state":"off"}',
+      '{"timestamp":120,"state":"on"}',
+      '{"timestamp":300,"state":"auto-off"}',
+    ].join('\n');
+    expect(await parseNdjsonProfile(ndjson)).toEqual(profile);
+  });
+
+  it('should use the initial option when there is no initial record', async () => {
+    const ndjson = '{"timestamp":30,"state":"off"}\n';
+    expect((await parseNdjsonProfile(ndjson, { initial: 'on' })).initial).toBe(
+      'on'
+    );
+  });
+
+  it('should read configured field names', async () => {
+    const ndjson = '{"ts":30,"power":"on","device":"plug-1"}\n';
+    expect(
+      await parseNdjsonProfile(ndjson, {
+        timestampField: 'ts',
+        stateField: 'power',
+      })
+    ).toEqual({ initial: 'off', events: [{ state: 'on', timestamp: 30 }] });
+  });
+
+  it('should throw a ParseError with the line number of invalid JSON', async () => {
+    const ndjson = '{"timestamp":30,"state":"on"}\n{"timestamp":\n';
+    await expect(parseNdjsonProfile(ndjson)).rejects.toMatchObject({
+      name: 'ParseError',
+      code: 'PARSE_ERROR',
+      line: 2,
+    });
+  });
+
+  it('should throw a ParseError for a record that is not an object', async () => {
+    await expect(parseNdjsonProfile('[30,"on"]\n')).rejects.toThrow(
+      /line 1: record must be an object/
+    );
+  });
+
+  it('should throw a ParseError for an invalid timestamp', async () => {
+    await expect(
+      parseNdjsonProfile('{"timestamp":"soon","state":"on"}\n')
+    ).rejects.toThrow(/line 1: invalid timestamp/);
+  });
+});
+
+describe('serialiseProfileToCsv', () => {
+  it('should write a header and a row for each event', () => {
+    expect([...serialiseProfileToCsv(profile)].join('')).toEqual(
+      'timestamp,state\n30,off\n120,on\n300,auto-off\n'
+    );
+  });
+
+  it('should write configured columns without a header', () => {
+    expect([
+      ...serialiseProfileToCsv(profile, { header: false, delimiter: ';' }),
+    ]).toEqual(['30;off\n', '120;on\n', '300;auto-off\n']);
+  });
+
+  it('should round trip through parseCsvProfile', async () => {
+    const csv = [...serialiseProfileToCsv(profile)].join('');
+    expect(await parseCsvProfile(csv, { initial: profile.initial })).toEqual(
+      profile
+    );
+  });
+
+  it('should throw error for an invalid profile', () => {
+    expect(() => [...serialiseProfileToCsv({ initial: 'on' })]).toThrow(
+      /profile must have an events array/
+    );
+  });
+});
+
+describe('serialiseProfileToNdjson', () => {
+  it('should write the initial state and then a line for each event', () => {
+    expect([...serialiseProfileToNdjson(profile)]).toEqual([
+      '{"initial":"on"}\n',
+      '{"timestamp":30,"state":"off"}\n',
+      '{"timestamp":120,"state":"on"}\n',
+      '{"timestamp":300,"state":"auto-off"}\n',
+    ]);
+  });
+
+  it('should round trip through parseNdjsonProfile', async () => {
+    const ndjson = Readable.from(serialiseProfileToNdjson(profile));
+    expect(await parseNdjsonProfile(ndjson)).toEqual(profile);
+  });
+});
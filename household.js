@@ -0,0 +1,205 @@
+const {
+  calculateEnergyUsageSimple,
+  calculateEnergySavings,
+  calculateEnergyUsageForDay,
+  calculateEnergySavingsForDay,
+  calculateEnergyUsageForRange,
+  validateProfile,
+  validateDay,
+  validateDayRange,
+  validateDayStartOffset,
+} = require('./index');
+const { ConfigurationError, withErrorOwner, ERROR_CODE } = require('./errors');
+
+/**
+ * HOUSEHOLDS
+ *
+ * A household has several appliances, each with its own usage profile. The functions below
+ * calculate the total usage and savings across the household, along with a breakdown for
+ * each appliance.
+ *
+ * The structure for `household` is a map of appliance ids to usage profiles (as an example):
+ * ```
+ * {
+ *    fridge: { initial: 'on', events: [] },
+ *    heater: {
+ *      initial: 'off',
+ *      events: [
+ *        { state: 'on', timestamp: 300 },
+ *        { state: 'auto-off', timestamp: 600 },
+ *      ],
+ *    },
+ * }
+ * ```
+ */
+
+/**
+ * Runs a calculation for a single appliance, naming the appliance in any error it throws
+ *
+ * @param {string} applianceId The id of the appliance
+ * @param {Function} calculate The calculation to run
+ * @returns {*} The result of the calculation
+ * @throws {Error} When the calculation fails, with the appliance id prefixed and set as its `applianceId`
+ */
+const forAppliance = (applianceId, calculate) =>
+  withErrorOwner(
+    { kind: 'appliance', property: 'applianceId', name: applianceId },
+    calculate
+  );
+
+/**
+ * Validates a household profile
+ *
+ * @param {Object} household Map of appliance ids to usage profiles
+ * @throws {EnergyCalculationError} When the household is not an object, has no appliances, or has an invalid profile
+ */
+const validateHousehold = (household) => {
+  if (!household || typeof household !== 'object' || Array.isArray(household)) {
+    throw new ConfigurationError(
+      'household must be a valid object',
+      ERROR_CODE.INVALID_HOUSEHOLD,
+      { value: household }
+    );
+  }
+
+  const applianceIds = Object.keys(household);
+  if (applianceIds.length === 0) {
+    throw new ConfigurationError(
+      'household must have at least one appliance',
+      ERROR_CODE.INVALID_HOUSEHOLD
+    );
+  }
+
+  applianceIds.forEach((applianceId) =>
+    forAppliance(applianceId, () => validateProfile(household[applianceId]))
+  );
+};
+
+/**
+ * Totals the usage and savings of every appliance in a household
+ *
+ * @param {Object} household Map of appliance ids to usage profiles
+ * @param {Function} calculateUsage Calculates the usage for a single profile
+ * @param {Function} calculateSavings Calculates the savings for a single profile
+ * @returns {Object} Object containing total usage, total savings and a per-appliance breakdown
+ */
+const aggregateHousehold = (household, calculateUsage, calculateSavings) => {
+  const appliances = {};
+  let usage = 0;
+  let savings = 0;
+
+  Object.entries(household).forEach(([applianceId, profile]) => {
+    const applianceUsage = forAppliance(applianceId, () =>
+      calculateUsage(profile, applianceId)
+    );
+    const applianceSavings = forAppliance(applianceId, () =>
+      calculateSavings(profile, applianceId)
+    );
+
+    appliances[applianceId] = {
+      usage: applianceUsage,
+      savings: applianceSavings,
+    };
+    usage += applianceUsage;
+    savings += applianceSavings;
+  });
+
+  return { usage, savings, appliances };
+};
+
+/**
+ * Calculates the total energy usage and savings of a household over a single day
+ *
+ * @param {Object} household Map of appliance ids to single-day usage profiles
+ * @returns {Object} Object containing total usage, total savings and a per-appliance breakdown
+ * @throws {Error} When the household or any of its profiles is invalid
+ */
+const calculateHouseholdSimple = (household) => {
+  validateHousehold(household);
+
+  return aggregateHousehold(
+    household,
+    calculateEnergyUsageSimple,
+    calculateEnergySavings
+  );
+};
+
+/**
+ * Calculates the total energy usage and savings of a household for a specific day
+ *
+ * @param {Object} household Map of appliance ids to month usage profiles
+ * @param {number} day
+ * @param {Object} [options]
+ * @param {number} [options.dayStartOffset=0] The minutes after midnight that each day starts
+ * @returns {Object} Object containing total usage, total savings and a per-appliance breakdown
+ * @throws {Error} When day is not an integer or out of range, the day start offset is invalid, or the household is invalid
+ */
+const calculateHouseholdForDay = (
+  household,
+  day,
+  { dayStartOffset = 0 } = {}
+) => {
+  validateDay(day);
+  validateDayStartOffset(dayStartOffset);
+  validateHousehold(household);
+
+  const options = { dayStartOffset };
+  return aggregateHousehold(
+    household,
+    (profile) => calculateEnergyUsageForDay(profile, day, options),
+    (profile) => calculateEnergySavingsForDay(profile, day, options)
+  );
+};
+
+/**
+ * Calculates the total energy usage and savings of a household for each day in a range
+ *
+ * @param {Object} household Map of appliance ids to month usage profiles
+ * @param {number} startDay The first day of the range (inclusive)
+ * @param {number} endDay The last day of the range (inclusive)
+ * @param {Object} [options]
+ * @param {number} [options.dayStartOffset=0] The minutes after midnight that each day starts
+ * @returns {Array<Object>} Array of { day, usage, savings, appliances } for each day in the range
+ * @throws {Error} When either day is invalid, the range is inverted, the day start offset is invalid, or the household is invalid
+ */
+const calculateHouseholdForRange = (
+  household,
+  startDay,
+  endDay,
+  { dayStartOffset = 0 } = {}
+) => {
+  validateDayRange(startDay, endDay);
+  validateDayStartOffset(dayStartOffset);
+  validateHousehold(household);
+
+  const options = { dayStartOffset };
+
+  // Each appliance's usage is calculated for the whole range in a single pass.
+  const usageByAppliance = {};
+  Object.entries(household).forEach(([applianceId, profile]) => {
+    usageByAppliance[applianceId] = forAppliance(applianceId, () =>
+      calculateEnergyUsageForRange(profile, startDay, endDay, options)
+    );
+  });
+
+  const days = [];
+  for (let day = startDay; day <= endDay; day++) {
+    days.push({
+      day,
+      ...aggregateHousehold(
+        household,
+        (profile, applianceId) => usageByAppliance[applianceId][day - startDay],
+        (profile) => calculateEnergySavingsForDay(profile, day, options)
+      ),
+    });
+  }
+
+  return days;
+};
+
+module.exports = {
+  calculateHouseholdSimple,
+  calculateHouseholdForDay,
+  calculateHouseholdForRange,
+  validateHousehold,
+};
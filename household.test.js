@@ -0,0 +1,176 @@
+const {
+  calculateHouseholdSimple,
+  calculateHouseholdForDay,
+  calculateHouseholdForRange,
+  validateHousehold,
+} = require('./household');
+const { MAX_IN_PERIOD } = require('./index');
+
+describe('calculateHouseholdSimple', () => {
+  const household = {
+    fridge: { initial: 'on', events: [] },
+    heater: {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 300 },
+        { state: 'auto-off', timestamp: 600 },
+        { state: 'on', timestamp: 900 },
+        { state: 'off', timestamp: 1000 },
+      ],
+    },
+  };
+
+  it('should total the usage of every appliance', () => {
+    expect(calculateHouseholdSimple(household).usage).toEqual(
+      MAX_IN_PERIOD + (600 - 300) + (1000 - 900)
+    );
+  });
+
+  it('should total the savings of every appliance', () => {
+    expect(calculateHouseholdSimple(household).savings).toEqual(900 - 600);
+  });
+
+  it('should break the totals down by appliance', () => {
+    expect(calculateHouseholdSimple(household).appliances).toEqual({
+      fridge: { usage: MAX_IN_PERIOD, savings: 0 },
+      heater: { usage: 400, savings: 300 },
+    });
+  });
+
+  it('should name the appliance with an invalid event', () => {
+    const badHousehold = {
+      ...household,
+      kettle: { initial: 'off', events: [{ state: 'boil', timestamp: 20 }] },
+    };
+    expect(() => calculateHouseholdSimple(badHousehold)).toThrow(
+      /appliance 'kettle': invalid state/
+    );
+  });
+});
+
+describe('calculateHouseholdForDay', () => {
+  const household = {
+    fridge: { initial: 'on', events: [] },
+    heater: {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 1400 },
+        { state: 'auto-off', timestamp: 1500 },
+      ],
+    },
+  };
+
+  it('should total the usage and savings of every appliance for the day', () => {
+    expect(calculateHouseholdForDay(household, 2)).toEqual({
+      usage: MAX_IN_PERIOD + 60,
+      savings: MAX_IN_PERIOD - 60,
+      appliances: {
+        fridge: { usage: MAX_IN_PERIOD, savings: 0 },
+        heater: { usage: 60, savings: MAX_IN_PERIOD - 60 },
+      },
+    });
+  });
+
+  it('should total each appliance for a day that starts after midnight', () => {
+    expect(
+      calculateHouseholdForDay(household, 1, { dayStartOffset: 120 }).appliances
+        .heater
+    ).toEqual({ usage: 100, savings: 60 });
+  });
+
+  it('should throw an error on an out of range day number', () => {
+    expect(() => calculateHouseholdForDay(household, 0)).toThrow(
+      /day out of range/
+    );
+  });
+});
+
+describe('calculateHouseholdForRange', () => {
+  const household = {
+    fridge: { initial: 'on', events: [] },
+    heater: {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 1400 },
+        { state: 'auto-off', timestamp: 1500 },
+      ],
+    },
+  };
+
+  it('should return a result for each day in the range', () => {
+    expect(
+      calculateHouseholdForRange(household, 1, 3).map((result) => result.day)
+    ).toEqual([1, 2, 3]);
+  });
+
+  it('should match calculateHouseholdForDay for each day', () => {
+    const [, dayTwo] = calculateHouseholdForRange(household, 1, 3);
+    expect(dayTwo).toEqual({
+      day: 2,
+      ...calculateHouseholdForDay(household, 2),
+    });
+  });
+
+  it('should match calculateHouseholdForDay with a day start offset', () => {
+    const options = { dayStartOffset: 60 };
+    const [, dayTwo] = calculateHouseholdForRange(household, 1, 3, options);
+    expect(dayTwo).toEqual({
+      day: 2,
+      ...calculateHouseholdForDay(household, 2, options),
+    });
+  });
+
+  it('should name the appliance with an invalid profile', () => {
+    expect(() =>
+      calculateHouseholdForRange(
+        { ...household, kettle: { initial: 'on' } },
+        1,
+        3
+      )
+    ).toThrow(/appliance 'kettle': profile must have an events array/);
+  });
+
+  it('should throw an error on an inverted range', () => {
+    expect(() => calculateHouseholdForRange(household, 3, 1)).toThrow(
+      /invalid day range/
+    );
+  });
+
+  it('should not name an appliance for an out of range day number', () => {
+    expect(() => calculateHouseholdForRange(household, 1, 366)).toThrow(
+      /^day out of range$/
+    );
+  });
+});
+
+describe('validateHousehold', () => {
+  it('should accept a valid household', () => {
+    expect(() =>
+      validateHousehold({ fridge: { initial: 'on', events: [] } })
+    ).not.toThrow();
+  });
+
+  it('should throw error for a missing household', () => {
+    expect(() => validateHousehold(null)).toThrow(
+      /household must be a valid object/
+    );
+  });
+
+  it('should throw error for an array of profiles', () => {
+    expect(() => validateHousehold([{ initial: 'on', events: [] }])).toThrow(
+      /household must be a valid object/
+    );
+  });
+
+  it('should throw error for a household without appliances', () => {
+    expect(() => validateHousehold({})).toThrow(
+      /household must have at least one appliance/
+    );
+  });
+
+  it('should name the appliance with an invalid profile', () => {
+    expect(() =>
+      validateHousehold({ fridge: { initial: 'broken', events: [] } })
+    ).toThrow(/appliance 'fridge': invalid initial state/);
+  });
+});
@@ -1,3 +1,14 @@
+const {
+  EnergyCalculationError,
+  ProfileValidationError,
+  InvalidStateError,
+  ParseError,
+  DayRangeError,
+  TimeRangeError,
+  ConfigurationError,
+  ERROR_CODE,
+} = require('./errors');
+
 /* The maximum number of minutes in a period (a day) */
 
 const MAX_IN_PERIOD = 1440;
@@ -45,6 +56,140 @@ const STATE = {
 const FIRST_DAY = 1;
 const LAST_DAY = 365;
 
+/**
+ * APPLIANCE STATES
+ *
+ * What each state means is defined once, in a registry, instead of in each calculator. A state can
+ * draw power (its minutes count as usage), count as savings, and ignore events for some states as
+ * redundant. Teams can add their own states, such as 'standby' or 'eco', with `registerState`, and
+ * every state can change to them unless it ignores them by name.
+ */
+
+const stateRegistry = new Map();
+
+/**
+ * Adds a state to the registry
+ *
+ * @param {string} name The name of the state, as used in profiles
+ * @param {Object} [definition]
+ * @param {boolean} [definition.drawsPower=false] Whether the appliance draws power, so the state counts as usage
+ * @param {boolean} [definition.countsAsSavings=false] Whether the state counts as savings
+ * @param {Array<string>} [definition.ignores=[]] The event states that cannot change it, which are ignored as redundant
+ * @throws {ConfigurationError} When the name is taken or the definition is invalid
+ */
+const registerState = (
+  name,
+  { drawsPower = false, countsAsSavings = false, ignores = [] } = {}
+) => {
+  const definitionError = (message, value) =>
+    new ConfigurationError(message, ERROR_CODE.INVALID_STATE_DEFINITION, {
+      value,
+    });
+
+  if (typeof name !== 'string' || name === '') {
+    throw definitionError('invalid state name', name);
+  }
+  if (stateRegistry.has(name)) {
+    throw definitionError('state already registered', name);
+  }
+  if (drawsPower && countsAsSavings) {
+    throw definitionError(
+      'a state cannot both draw power and count as savings',
+      name
+    );
+  }
+  if (
+    !Array.isArray(ignores) ||
+    !ignores.every((state) => typeof state === 'string')
+  ) {
+    throw definitionError('invalid ignored states', ignores);
+  }
+
+  stateRegistry.set(
+    name,
+    Object.freeze({
+      name,
+      drawsPower: Boolean(drawsPower),
+      countsAsSavings: Boolean(countsAsSavings),
+      ignores: Object.freeze([...ignores]),
+    })
+  );
+};
+
+/**
+ * Removes a state that was added with `registerState`
+ *
+ * @param {string} name The name of the state
+ * @returns {boolean} Whether the state was registered
+ * @throws {ConfigurationError} When the state is one of the built-in states
+ */
+const unregisterState = (name) => {
+  if (Object.values(STATE).includes(name)) {
+    throw new ConfigurationError(
+      'cannot unregister a built-in state',
+      ERROR_CODE.INVALID_STATE_DEFINITION,
+      { value: name }
+    );
+  }
+  return stateRegistry.delete(name);
+};
+
+/**
+ * @returns {Array<string>} The names of every registered state
+ */
+const getRegisteredStates = () => [...stateRegistry.keys()];
+
+/**
+ * Gets the definition of a registered state
+ *
+ * @param {string} state The name of the state
+ * @returns {Object} The definition, with name, drawsPower, countsAsSavings and ignores
+ * @throws {InvalidStateError} When the state is not registered
+ */
+const getStateDefinition = (state) => {
+  const definition = stateRegistry.get(state);
+  if (!definition) {
+    throw new InvalidStateError('invalid state', ERROR_CODE.INVALID_STATE, {
+      value: state,
+      allowed: getRegisteredStates(),
+    });
+  }
+  return definition;
+};
+
+/**
+ * @param {string} state The name of a registered state
+ * @returns {boolean} Whether the appliance draws power in the state
+ */
+const stateDrawsPower = (state) => getStateDefinition(state).drawsPower;
+
+/**
+ * @param {string} state The name of a registered state
+ * @returns {boolean} Whether the state counts as savings
+ */
+const stateCountsAsSavings = (state) =>
+  getStateDefinition(state).countsAsSavings;
+
+/**
+ * Resolves the state of an appliance after an event
+ *
+ * @param {string} currentState The state before the event
+ * @param {string} eventState The state of the event
+ * @returns {string} The event state, or the current state if it ignores the event state
+ */
+const getNextState = (currentState, eventState) => {
+  const { ignores } = getStateDefinition(currentState);
+  if (ignores.includes(eventState)) {
+    return currentState;
+  }
+  return eventState;
+};
+
+registerState(STATE.ON, { drawsPower: true });
+registerState(STATE.OFF);
+// A manual switch off after an auto-off is redundant, as the device was the original trigger.
+registerState(STATE.AUTO, { countsAsSavings: true, ignores: [STATE.OFF] });
+
 /**
  * Handles the case when there are no events in a profile
  * @param {string} initialState The initial state
@@ -57,104 +202,278 @@ const handleEmptyEvents = (initialState) => {
 /**
  * Calculates the epoch start and end timestamps for a given day
  * @param {number} day The day number
+ * @param {number} [dayStartOffset=0] The minutes after midnight that each day starts
  * @returns {Object} Object containing epochDayStart and epochDayEnd
  */
-const calculateEpochDayBoundaries = (day) => {
+const calculateEpochDayBoundaries = (day, dayStartOffset = 0) => {
   return {
-    epochDayStart: (day - 1) * MAX_IN_PERIOD,
-    epochDayEnd: day * MAX_IN_PERIOD,
+    epochDayStart: (day - 1) * MAX_IN_PERIOD + dayStartOffset,
+    epochDayEnd: day * MAX_IN_PERIOD + dayStartOffset,
   };
 };
 
 /**
  * Validates that a day number is valid
  * @param {number} day The day number to validate
- * @throws {Error} When day is not an integer or out of range
+ * @throws {DayRangeError} When day is not an integer or out of range
  */
 const validateDay = (day) => {
+  const range = { min: FIRST_DAY, max: LAST_DAY };
   if (!isInteger(day)) {
-    throw new Error('must be an integer');
+    throw new DayRangeError('must be an integer', ERROR_CODE.DAY_NOT_INTEGER, {
+      value: day,
+      range,
+    });
   }
   if (day < FIRST_DAY || day > LAST_DAY) {
-    throw new Error('day out of range');
+    throw new DayRangeError('day out of range', ERROR_CODE.DAY_OUT_OF_RANGE, {
+      value: day,
+      range,
+    });
+  }
+};
+
+/**
+ * Validates that a range of day numbers is valid
+ * @param {number} startDay The first day of the range
+ * @param {number} endDay The last day of the range
+ * @throws {DayRangeError} When either day is invalid or the range is inverted
+ */
+const validateDayRange = (startDay, endDay) => {
+  validateDay(startDay);
+  validateDay(endDay);
+  if (startDay > endDay) {
+    throw new DayRangeError('invalid day range', ERROR_CODE.INVALID_DAY_RANGE, {
+      value: { startDay, endDay },
+    });
+  }
+};
+
+/**
+ * Validates that a time range runs forwards from the start of the epoch
+ * @param {number} start Start timestamp (inclusive)
+ * @param {number} end End timestamp (exclusive)
+ * @throws {TimeRangeError} When either timestamp is not a finite, non-negative number, or start is after end
+ */
+const validateTimeRange = (start, end) => {
+  if (
+    typeof start !== 'number' ||
+    typeof end !== 'number' ||
+    !(start >= 0 && start <= end && Number.isFinite(end))
+  ) {
+    throw new TimeRangeError(
+      'invalid time range',
+      ERROR_CODE.INVALID_TIME_RANGE,
+      { value: { start, end } }
+    );
+  }
+};
+
+/**
+ * Validates that a day start offset is within a day
+ * @param {number} dayStartOffset The minutes after midnight that each day starts
+ * @throws {TimeRangeError} When the offset is not a number from 0 up to the length of a day
+ */
+const validateDayStartOffset = (dayStartOffset) => {
+  if (
+    typeof dayStartOffset !== 'number' ||
+    !(dayStartOffset >= 0 && dayStartOffset < MAX_IN_PERIOD)
+  ) {
+    throw new TimeRangeError(
+      'invalid day start offset',
+      ERROR_CODE.INVALID_DAY_START,
+      { value: dayStartOffset, range: { min: 0, max: MAX_IN_PERIOD } }
+    );
   }
 };
 
 /**
  * Validates that an initial state is valid
  * @param {string} initialState The initial state to validate
- * @throws {Error} When initial state is invalid
+ * @throws {InvalidStateError} When initial state is invalid
  */
 const validateInitialState = (initialState) => {
-  if (!Object.values(STATE).includes(initialState)) {
-    throw new Error('invalid initial state');
+  if (!stateRegistry.has(initialState)) {
+    throw new InvalidStateError(
+      'invalid initial state',
+      ERROR_CODE.INVALID_INITIAL_STATE,
+      { value: initialState, allowed: getRegisteredStates() }
+    );
   }
 };
 
 /**
  * Validates that a state is valid
  * @param {string} state The state to validate
- * @throws {Error} When state is invalid
+ * @param {number} [index] The index of the event with the state, for error reporting
+ * @throws {InvalidStateError} When state is invalid
  */
-const validateState = (state) => {
-  if (!Object.values(STATE).includes(state)) {
-    throw new Error('invalid state');
+const validateState = (state, index) => {
+  if (!stateRegistry.has(state)) {
+    throw new InvalidStateError('invalid state', ERROR_CODE.INVALID_STATE, {
+      value: state,
+      index,
+      allowed: getRegisteredStates(),
+    });
   }
 };
 
 /**
  * Validates that a timestamp is within the valid range for a day
  * @param {number} timestamp The timestamp to validate
- * @param {number} maxPeriod The maximum period (defaults to MAX_IN_PERIOD)
- * @throws {Error} When timestamp is out of range
+ * @param {number} [index] The index of the event with the timestamp, for error reporting
+ * @throws {ProfileValidationError} When timestamp is out of range
  */
-const validateTimestamp = (timestamp) => {
+const validateTimestamp = (timestamp, index) => {
   if (timestamp > MAX_IN_PERIOD || timestamp < 0) {
-    throw new Error('events out of range');
+    throw new ProfileValidationError(
+      'events out of range',
+      ERROR_CODE.TIMESTAMP_OUT_OF_RANGE,
+      { value: timestamp, index, range: { min: 0, max: MAX_IN_PERIOD } }
+    );
+  }
+};
+
+/**
+ * Validates that an event timestamp is a number of minutes since the start of the month
+ * @param {number} timestamp The timestamp to validate
+ * @param {number} [index] The index of the event with the timestamp, for error reporting
+ * @throws {ProfileValidationError} When timestamp is not a finite number, or is negative
+ */
+const validateEpochTimestamp = (timestamp, index) => {
+  if (
+    typeof timestamp !== 'number' ||
+    !Number.isFinite(timestamp) ||
+    timestamp < 0
+  ) {
+    throw new ProfileValidationError(
+      'invalid timestamp',
+      ERROR_CODE.INVALID_TIMESTAMP,
+      { value: timestamp, index }
+    );
   }
 };
 
+/**
+ * Validates the events of a month usage profile before they are sorted and sliced into days
+ *
+ * Errors carry the index of the event in the original `events` array, not in a day.
+ *
+ * @param {Array<Object>} events The events of the month usage profile
+ * @throws {ProfileValidationError} When any event state or timestamp is invalid
+ */
+const validateMonthEvents = (events) => {
+  events.forEach((event, index) => {
+    validateState(event.state, index);
+    validateEpochTimestamp(event.timestamp, index);
+  });
+};
+
 /**
  * Validates a usage profile object
  *
  * @param {Object} profile The usage profile to validate
  * @param {string} profile.initial The initial state of the appliance
  * @param {Array<Object>} profile.events Array of state change events
- * @throws {Error} When profile is invalid, missing required properties, or has invalid values
+ * @throws {ProfileValidationError} When profile is invalid, missing required properties, or has invalid values
  */
 const validateProfile = (profile) => {
   if (!profile || typeof profile !== 'object') {
-    throw new Error('profile must be a valid object');
+    throw new ProfileValidationError(
+      'profile must be a valid object',
+      ERROR_CODE.INVALID_PROFILE,
+      { value: profile }
+    );
   }
 
   if (!profile.hasOwnProperty('initial')) {
-    throw new Error('profile must have an initial state');
+    throw new ProfileValidationError(
+      'profile must have an initial state',
+      ERROR_CODE.MISSING_INITIAL_STATE
+    );
   }
 
   validateInitialState(profile.initial);
 
   if (!profile.hasOwnProperty('events')) {
-    throw new Error('profile must have an events array');
+    throw new ProfileValidationError(
+      'profile must have an events array',
+      ERROR_CODE.MISSING_EVENTS
+    );
   }
 
   if (!Array.isArray(profile.events)) {
-    throw new Error('profile.events must be an array');
+    throw new ProfileValidationError(
+      'profile.events must be an array',
+      ERROR_CODE.INVALID_EVENTS,
+      { value: profile.events }
+    );
   }
 };
 
 const isInteger = (number) => Number.isInteger(number);
 
 // Note: Can we guarantee that events are sorted? If so then we can skip this step.
-// This mutates the original array. For large datasets we might need to consider pre-sorting
+// This copies the original array. For large datasets we might need to consider pre-sorting
 
 /**
- * Sorts events by timestamp in ascending order
+ * Sorts events by timestamp in ascending order without modifying the original array
+ *
+ * Events with the same timestamp are ordered so that the result never depends on the order they
+ * were given in, and the last of them decides the resulting state:
+ *  1. events with a `sequence` number come first, in sequence order
+ *  2. then by state, in the order the states were registered ('on', 'off', 'auto-off', then any
+ *     custom states), so an 'on' and an 'off' in the same minute leave the appliance switched off
  *
  * @param {Array<Object>} events Array of event objects
- * @returns {Array<Object>} The sorted array of events
+ * @returns {Array<Object>} A new sorted array of events
  */
 const sortEventByTimeStamp = (events) => {
-  return events.sort((a, b) => a.timestamp - b.timestamp);
+  return [...events].sort(
+    (a, b) =>
+      a.timestamp - b.timestamp ||
+      compareEventSequence(a, b) ||
+      compareEventState(a, b)
+  );
+};
+
+/**
+ * Compares two events with the same timestamp by their optional sequence numbers
+ *
+ * @param {Object} a The first event
+ * @param {Object} b The second event
+ * @returns {number} Negative, zero or positive, following the `Array.prototype.sort` convention
+ */
+const compareEventSequence = (a, b) => {
+  const aHasSequence = isInteger(a.sequence);
+  const bHasSequence = isInteger(b.sequence);
+  if (aHasSequence && bHasSequence) {
+    return a.sequence - b.sequence;
+  }
+  // Events with a sequence number come before events without one.
+  return Number(bHasSequence) - Number(aHasSequence);
+};
+
+/**
+ * Compares two events with the same timestamp and sequence by their states
+ *
+ * States are ordered as they were registered, and unknown states come last, by name.
+ *
+ * @param {Object} a The first event
+ * @param {Object} b The second event
+ * @returns {number} Negative, zero or positive, following the `Array.prototype.sort` convention
+ */
+const compareEventState = (a, b) => {
+  const states = getRegisteredStates();
+  const rank = (state) =>
+    states.includes(state) ? states.indexOf(state) : states.length;
+  const difference = rank(a.state) - rank(b.state);
+  if (difference !== 0) {
+    return difference;
+  }
+  const aName = String(a.state);
+  const bName = String(b.state);
+  return aName < bName ? -1 : Number(aName > bName);
 };
 
 // Note: For small data this is ok but we can improve for bigger data sets by using
@@ -203,8 +522,8 @@ const calculateEpochStartEndPositions = (
 /**
  * Determines the initial state for a specific day based on the month's usage profile
  *
- * Uses the state from the last event of the previous day, or the month's initial state if no
- * previous events exist.
+ * Uses the state left behind by the events before this day, resolved with `getNextState`, or the
+ * month's initial state if no previous events exist.
  *
  * @param {Object} monthProfile The month's usage profile
  * @param {number} day The day number
@@ -215,13 +534,29 @@ const calculateEpochStartEndPositions = (
 const getDayInitialState = (monthProfile, day, startPosition, sortedEvents) => {
   if (day === 1) return monthProfile.initial;
 
-  // If there are no events or the first event is for this day, use the month's initial state.
-  if (sortedEvents.length === 0 || startPosition === 0) {
-    return monthProfile.initial;
+  return getCarriedOverState(monthProfile, startPosition, sortedEvents);
+};
+
+/**
+ * Determines the state carried over into a day from the events before it
+ *
+ * Used for both usage and savings. A manual 'off' that follows an 'auto-off' does not replace it
+ * (see `getNextState`), so an auto-off period that runs over midnight is still attributed to the
+ * device.
+ *
+ * @param {Object} monthProfile The month's usage profile
+ * @param {number} startPosition The starting position of events for this day
+ * @param {Array<Object>} sortedEvents The sorted events array
+ * @returns {string} The initial state for the specified day
+ */
+const getCarriedOverState = (monthProfile, startPosition, sortedEvents) => {
+  let state = monthProfile.initial;
+
+  for (let i = 0; i < startPosition; i++) {
+    state = getNextState(state, sortedEvents[i].state);
   }
 
-  // Otherwise, use the state from the last event before this day.
-  return sortedEvents[startPosition - 1].state;
+  return state;
 };
 
 // Note: I avoided using slice and map ie events.slice(start, end+1) as it's inefficient for large arrays.
@@ -233,13 +568,20 @@ const getDayInitialState = (monthProfile, day, startPosition, sortedEvents) => {
  * @param {number} startPosition Starting index in the events array
  * @param {number} endPosition Ending index in the events array (inclusive)
  * @param {number} day The day number for timestamp normalization
+ * @param {number} [dayStartOffset=0] The minutes after midnight that each day starts
  * @returns {Array<Object>} Array of normalized events
- * @throws {Error} When startPosition or endPosition are out of bounds
+ * @throws {ProfileValidationError} When startPosition or endPosition are out of bounds
  */
-const normaliseEventsForDay = (events, startPosition, endPosition, day) => {
+const normaliseEventsForDay = (
+  events,
+  startPosition,
+  endPosition,
+  day,
+  dayStartOffset = 0
+) => {
   const normalisedEvents = [];
-  const dayOffset = MAX_IN_PERIOD * (day - 1);
-  const dayEndTimestamp = day * MAX_IN_PERIOD;
+  const { epochDayStart: dayOffset, epochDayEnd: dayEndTimestamp } =
+    calculateEpochDayBoundaries(day, dayStartOffset);
 
   // Handle empty events or invalid positions
   if (!Array.isArray(events) || events.length === 0) {
@@ -249,7 +591,14 @@ const normaliseEventsForDay = (events, startPosition, endPosition, day) => {
     return [];
   }
   if (startPosition < 0 || endPosition >= events.length) {
-    throw new Error('startPosition or endPosition out of bounds');
+    throw new ProfileValidationError(
+      'startPosition or endPosition out of bounds',
+      ERROR_CODE.POSITION_OUT_OF_BOUNDS,
+      {
+        value: { startPosition, endPosition },
+        range: { min: 0, max: events.length - 1 },
+      }
+    );
   }
 
   for (let i = startPosition; i <= endPosition; i++) {
@@ -269,21 +618,13 @@ const normaliseEventsForDay = (events, startPosition, endPosition, day) => {
 
 /**
  * Calculates the energy usage for a given initial state
- * @param {string} initialState The initial state of the appliance ('on', 'off', or 'auto-off')
- * @returns {number} The energy usage in minutes (0 for off states, MAX_IN_PERIOD for on states)
- * @throws {Error} When initialState is not a valid state
+ * @param {string} initialState The initial state of the appliance
+ * @returns {number} The energy usage in minutes (MAX_IN_PERIOD for states that draw power, otherwise 0)
+ * @throws {InvalidStateError} When initialState is not a valid state
  */
 const getInitialStateResult = (initialState) => {
-  switch (initialState) {
-    case STATE.OFF:
-      return 0;
-    case STATE.ON:
-      return MAX_IN_PERIOD;
-    case STATE.AUTO:
-      return MAX_IN_PERIOD;
-    default:
-      throw new Error('invalid initial state');
-  }
+  validateInitialState(initialState);
+  return stateDrawsPower(initialState) ? MAX_IN_PERIOD : 0;
 };
 
 /**
@@ -306,29 +647,33 @@ const calculateEnergyUsageSimple = (profile) => {
     return handleEmptyEvents(profile.initial);
   }
 
+  let currentState = profile.initial;
+
   // If the appliance is initially on, start tracking usage from the beginning of the day.
-  if (profile.initial === STATE.ON) {
+  if (stateDrawsPower(currentState)) {
     applianceOnStartTime = 0;
   }
 
   for (let i = 0; i < events.length; i++) {
     const currentEvent = events[i];
-    const currentState = currentEvent.state;
 
-    validateTimestamp(currentEvent.timestamp);
+    validateState(currentEvent.state, i);
+    validateTimestamp(currentEvent.timestamp, i);
 
-    if (currentState === STATE.OFF) {
-      // If the appliance was previously 'on', add the duration it was on up to this event.
+    currentState = getNextState(currentState, currentEvent.state);
+
+    if (!stateDrawsPower(currentState)) {
+      // If the appliance was previously on, add the duration it was on up to this event.
       if (applianceOnStartTime !== -1) {
         totalDuration += currentEvent.timestamp - applianceOnStartTime;
       }
       // Reset on start time
       applianceOnStartTime = -1;
-    } else if (currentState === STATE.ON && applianceOnStartTime === -1) {
-      // Start tracking 'on' time
+    } else if (applianceOnStartTime === -1) {
+      // Start tracking on time
       applianceOnStartTime = currentEvent.timestamp;
     }
-    // Ignore duplicate 'on' events if the appliance is already on.
+    // Ignore duplicate events if the appliance is already on.
   }
 
   // If the last event leaves the appliance on, add usage until the end of the day.
@@ -371,67 +716,98 @@ const calculateEnergyUsageSimple = (profile) => {
  * and not manual intervention.
  */
 
+const EPISODE_END = {
+  SWITCHED_ON: 'switched-on',
+  // A state that neither draws power nor counts as savings, such as a manual 'off' before auto-off
+  SWITCHED_OFF: 'switched-off',
+  END_OF_DAY: 'end-of-day',
+};
+
 /**
- * Calculates the energy savings achieved by auto-off
+ * Lists each auto-off episode in a profile, from the device cutting power until the appliance is
+ * next switched on (or the end of the day)
+ *
+ * An episode is a run of states that count as savings. An 'auto-off' initial state is treated as
+ * an episode that started at the beginning of the day. Manual 'off' events during an episode are
+ * redundant, as the device was the original trigger, so they do not end it and are listed on the
+ * episode instead. Repeated 'auto-off' events are redundant in the same way, but are not listed.
+ * The minutes of the episodes add up to `calculateEnergySavings`.
  *
  * @param {Object} profile The usage profile
- * @returns {number} Total energy savings in minutes
+ * @returns {Array<Object>} Array of episodes, each with a start, end, minutes, endedBy (an EPISODE_END value) and the timestamps of any redundantOffs
  * @throws {Error} When any event state is invalid
  */
-const calculateEnergySavings = (profile) => {
+const getAutoOffEpisodes = (profile) => {
   validateProfile(profile);
 
   const events = profile.events;
+  const episodes = [];
+  let currentState = profile.initial;
+  let episode = stateCountsAsSavings(currentState)
+    ? { start: 0, redundantOffs: [] }
+    : null;
 
-  // If there are no events, savings depend only on the initial state
-  if (events.length === 0) {
-    if (profile.initial === STATE.ON || profile.initial === STATE.OFF) {
-      return 0;
-    }
-    if (profile.initial === STATE.AUTO) {
-      return MAX_IN_PERIOD;
-    }
-  }
-
-  let previousAutoOffTimestamp = -1;
-  let totalTimeSaved = 0;
-  let isCurrentlyOn = false;
-  let lastValidEventIsAutoOff = false;
+  // Ends the current episode at the given time
+  const endEpisode = (end, endedBy) => {
+    episodes.push({
+      start: episode.start,
+      end,
+      minutes: end - episode.start,
+      endedBy,
+      redundantOffs: episode.redundantOffs,
+    });
+    episode = null;
+  };
 
   for (let i = 0; i < events.length; i++) {
     const currentEvent = events[i];
-    const currentState = currentEvent.state;
 
-    validateState(currentState);
+    validateState(currentEvent.state, i);
 
-    if (currentState === STATE.ON) {
-      isCurrentlyOn = true;
-      lastValidEventIsAutoOff = false;
-      // If the previous state was auto-off, add savings from auto-off to this 'on'
-      if (previousAutoOffTimestamp !== -1) {
-        totalTimeSaved += currentEvent.timestamp - previousAutoOffTimestamp;
-      }
-    } else if (currentState === STATE.OFF) {
-      // Manual turn off, reset auto-off tracking if appliance was on
-      if (isCurrentlyOn) {
-        previousAutoOffTimestamp = -1;
-      }
-    } else if (currentState === STATE.AUTO) {
-      // Start tracking a new auto-off savings
-      isCurrentlyOn = false;
-      lastValidEventIsAutoOff = true;
-      if (previousAutoOffTimestamp === -1) {
-        previousAutoOffTimestamp = currentEvent.timestamp;
-      }
+    const nextState = getNextState(currentState, currentEvent.state);
+
+    if (!episode && stateCountsAsSavings(nextState)) {
+      // Start tracking a new auto-off episode
+      episode = { start: currentEvent.timestamp, redundantOffs: [] };
+    } else if (episode && !stateCountsAsSavings(nextState)) {
+      // Changing to a state that saves nothing, such as switching back on, ends the episode.
+      endEpisode(
+        currentEvent.timestamp,
+        stateDrawsPower(nextState)
+          ? EPISODE_END.SWITCHED_ON
+          : EPISODE_END.SWITCHED_OFF
+      );
+    } else if (episode && currentEvent.state !== nextState) {
+      // The state could not change to the event state, so the event is redundant.
+      episode.redundantOffs.push(currentEvent.timestamp);
     }
+
+    currentState = nextState;
   }
 
-  // If the last event was an auto-off, add savings until the end of the day
-  if (lastValidEventIsAutoOff) {
-    totalTimeSaved += MAX_IN_PERIOD - previousAutoOffTimestamp;
+  // If the appliance is still auto-off, the episode runs until the end of the day
+  if (episode) {
+    endEpisode(MAX_IN_PERIOD, EPISODE_END.END_OF_DAY);
   }
 
-  return totalTimeSaved;
+  return episodes;
+};
+
+/**
+ * Calculates the energy savings achieved by auto-off
+ *
+ * An 'auto-off' initial state is treated as an auto-off period that started at the beginning
+ * of the day, which allows savings to be carried over from a previous day.
+ *
+ * @param {Object} profile The usage profile
+ * @returns {number} Total energy savings in minutes
+ * @throws {Error} When any event state is invalid
+ */
+const calculateEnergySavings = (profile) => {
+  return getAutoOffEpisodes(profile).reduce(
+    (totalTimeSaved, episode) => totalTimeSaved + episode.minutes,
+    0
+  );
 };
 
 /**
@@ -463,80 +839,1147 @@ const calculateEnergySavings = (profile) => {
 /**
  * Calculates the energy usage for a specific day from a month usage profile
  *
+ * With a day start offset, each day starts that many minutes after midnight, so with an offset of
+ * 360 day 1 runs from 06:00 on day 1 to 06:00 on day 2. The minutes before 06:00 on day 1 belong
+ * to no day, but their events still set the state that day 1 starts in.
+ *
  * @param {Object} monthUsageProfile
  * @param {Array<Object>} monthUsageProfile.events
  * @param {number} day
+ * @param {Object} [options]
+ * @param {number} [options.dayStartOffset=0] The minutes after midnight that each day starts
  * @returns {number} The energy usage in minutes
- * @throws {Error} When day is not an integer or out of range
+ * @throws {Error} When day is not an integer or out of range, or the day start offset is invalid
  */
-const calculateEnergyUsageForDay = (monthUsageProfile, day) => {
+const calculateEnergyUsageForDay = (
+  monthUsageProfile,
+  day,
+  { dayStartOffset = 0 } = {}
+) => {
   validateDay(day);
+  validateDayStartOffset(dayStartOffset);
   validateProfile(monthUsageProfile);
+  validateMonthEvents(monthUsageProfile.events);
 
   // If there are no events, usage is determined by the initial state for the month.
   if (monthUsageProfile.events.length === 0) {
     return handleEmptyEvents(monthUsageProfile.initial);
   }
 
-  const epochDayStart = (day - 1) * MAX_IN_PERIOD;
-  const epochDayEnd = day * MAX_IN_PERIOD;
+  return calculateEnergyUsageSimple(
+    buildDayProfile(monthUsageProfile, day, dayStartOffset)
+  );
+};
 
-  // If the day is before the first event, usage is determined by the initial state.
-  if (epochDayEnd <= monthUsageProfile.events[0].timestamp) {
-    return getInitialStateResult(monthUsageProfile.initial);
+/**
+ * Builds the single-day profile for a specific day from a month usage profile
+ *
+ * The initial state is carried over from the previous day with the auto-off attribution rules
+ * of `getCarriedOverState`, and the event timestamps are normalised to the day. Both the usage
+ * and the savings of a day are calculated from this profile.
+ *
+ * @param {Object} monthUsageProfile
+ * @param {Array<Object>} monthUsageProfile.events
+ * @param {number} day
+ * @param {number} [dayStartOffset=0] The minutes after midnight that each day starts
+ * @returns {Object} The usage profile for the day
+ */
+const buildDayProfile = (monthUsageProfile, day, dayStartOffset = 0) => {
+  if (monthUsageProfile.events.length === 0) {
+    return { initial: monthUsageProfile.initial, events: [] };
   }
 
-  // If the day is after the last event and the last event is 'on', usage is max for the day.
-  const lastEvent = monthUsageProfile.events.at(-1);
-  if (epochDayStart >= lastEvent.timestamp && lastEvent.state === STATE.ON) {
-    return MAX_IN_PERIOD;
-  }
+  const { epochDayStart, epochDayEnd } = calculateEpochDayBoundaries(
+    day,
+    dayStartOffset
+  );
 
-  // We sort every time calculateEnergyUsageForDay is called. A better implementation would be to ensure events are sorted before calling
   const sortedEvents = sortEventByTimeStamp(monthUsageProfile.events);
-  const { startPosition, endPosition } = calculateEpochStartEndPositions(
+  let { startPosition, endPosition } = calculateEpochStartEndPositions(
     sortedEvents,
     epochDayStart,
     epochDayEnd
   );
 
+  // calculateEpochStartEndPositions falls back to the first event when every event is before
+  // the day, in which case the whole month so far carries over and the day has no events.
+  if (sortedEvents.at(-1).timestamp < epochDayStart) {
+    startPosition = sortedEvents.length;
+  }
+
   const normalisedEvents = normaliseEventsForDay(
     sortedEvents,
     startPosition,
     endPosition,
-    day
+    day,
+    dayStartOffset
   );
-  const initialState = getDayInitialState(
+  const initialState = getCarriedOverState(
     monthUsageProfile,
-    day,
     startPosition,
     sortedEvents
   );
 
-  const dayProfile = {
+  return {
     initial: initialState,
     events: normalisedEvents,
   };
+};
+
+/**
+ * Calculates the energy savings achieved by auto-off for a specific day from a month usage profile
+ *
+ * @param {Object} monthUsageProfile
+ * @param {Array<Object>} monthUsageProfile.events
+ * @param {number} day
+ * @param {Object} [options]
+ * @param {number} [options.dayStartOffset=0] The minutes after midnight that each day starts
+ * @returns {number} The energy savings in minutes
+ * @throws {Error} When day is not an integer or out of range, or the day start offset is invalid
+ */
+const calculateEnergySavingsForDay = (
+  monthUsageProfile,
+  day,
+  { dayStartOffset = 0 } = {}
+) => {
+  validateDay(day);
+  validateDayStartOffset(dayStartOffset);
+  validateProfile(monthUsageProfile);
+  validateMonthEvents(monthUsageProfile.events);
+
+  return calculateEnergySavings(
+    buildDayProfile(monthUsageProfile, day, dayStartOffset)
+  );
+};
+
+/**
+ * Calculates the energy usage for each day in a range from a month usage profile
+ *
+ * Equivalent to calling `calculateEnergyUsageForDay` for every day in the range, but the events
+ * are only sorted once and walked in a single pass, carrying the state over from one day to the next.
+ *
+ * @param {Object} monthUsageProfile
+ * @param {Array<Object>} monthUsageProfile.events
+ * @param {number} startDay The first day of the range (inclusive)
+ * @param {number} endDay The last day of the range (inclusive)
+ * @param {Object} [options]
+ * @param {number} [options.dayStartOffset=0] The minutes after midnight that each day starts
+ * @returns {Array<number>} The energy usage in minutes for each day, starting at startDay
+ * @throws {Error} When either day is not an integer or out of range, the range is inverted, or the day start offset is invalid
+ */
+const calculateEnergyUsageForRange = (
+  monthUsageProfile,
+  startDay,
+  endDay,
+  { dayStartOffset = 0 } = {}
+) => {
+  validateDayRange(startDay, endDay);
+  validateDayStartOffset(dayStartOffset);
+  validateProfile(monthUsageProfile);
+  validateMonthEvents(monthUsageProfile.events);
+
+  const sortedEvents = sortEventByTimeStamp(monthUsageProfile.events);
+  const { epochDayStart: rangeStart } = calculateEpochDayBoundaries(
+    startDay,
+    dayStartOffset
+  );
+
+  let position = 0;
+  let currentState = monthUsageProfile.initial;
+
+  // Skip over the events before the range, keeping track of the state they leave behind.
+  while (
+    position < sortedEvents.length &&
+    sortedEvents[position].timestamp < rangeStart
+  ) {
+    currentState = getNextState(currentState, sortedEvents[position].state);
+    position++;
+  }
+
+  const usage = [];
+  for (let day = startDay; day <= endDay; day++) {
+    const { epochDayStart, epochDayEnd } = calculateEpochDayBoundaries(
+      day,
+      dayStartOffset
+    );
+    const dayEvents = [];
+
+    while (
+      position < sortedEvents.length &&
+      sortedEvents[position].timestamp < epochDayEnd
+    ) {
+      dayEvents.push({
+        state: sortedEvents[position].state,
+        timestamp: sortedEvents[position].timestamp - epochDayStart,
+      });
+      position++;
+    }
+
+    usage.push(
+      calculateEnergyUsageSimple({ initial: currentState, events: dayEvents })
+    );
+
+    currentState = dayEvents.reduce(
+      (state, event) => getNextState(state, event.state),
+      currentState
+    );
+  }
+
+  return usage;
+};
+
+/**
+ * Calculates the energy usage between two timestamps of a month usage profile
+ *
+ * The window does not need to line up with days. The state at the start of the window is carried
+ * over from the events before it, and an event at the start of the window applies from the start.
+ *
+ * @param {Object} monthUsageProfile
+ * @param {string} monthUsageProfile.initial
+ * @param {Array<Object>} monthUsageProfile.events
+ * @param {number} start Start timestamp (inclusive)
+ * @param {number} end End timestamp (exclusive)
+ * @returns {number} The energy usage in minutes
+ * @throws {Error} When the profile, any event or the window is invalid
+ */
+const calculateEnergyUsageForWindow = (monthUsageProfile, start, end) => {
+  validateProfile(monthUsageProfile);
+  validateMonthEvents(monthUsageProfile.events);
+  validateTimeRange(start, end);
+
+  const sortedEvents = sortEventByTimeStamp(monthUsageProfile.events);
+  let position = 0;
+  let currentState = monthUsageProfile.initial;
+
+  // Carry the state over from the events up to the start of the window.
+  while (
+    position < sortedEvents.length &&
+    sortedEvents[position].timestamp <= start
+  ) {
+    currentState = getNextState(currentState, sortedEvents[position].state);
+    position++;
+  }
+
+  let usage = 0;
+  let currentTime = start;
+
+  while (
+    position < sortedEvents.length &&
+    sortedEvents[position].timestamp < end
+  ) {
+    const { state, timestamp } = sortedEvents[position];
+    if (stateDrawsPower(currentState)) {
+      usage += timestamp - currentTime;
+    }
+    currentState = getNextState(currentState, state);
+    currentTime = timestamp;
+    position++;
+  }
+
+  if (stateDrawsPower(currentState)) {
+    usage += end - currentTime;
+  }
+
+  return usage;
+};
+
+/**
+ * Finds the index of the last timestamp at or before the given time using a binary search
+ *
+ * @param {Array<number>} timestamps Sorted array of timestamps
+ * @param {number} time The time to search for
+ * @returns {number} The index of the last timestamp <= time, or -1 if there is none
+ */
+const findLastPositionAtOrBefore = (timestamps, time) => {
+  let low = 0;
+  let high = timestamps.length - 1;
+  let position = -1;
+
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (timestamps[middle] <= time) {
+      position = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return position;
+};
+
+/**
+ * Creates a precomputed index over a month usage profile for answering repeated usage queries
+ *
+ * The events are validated and sorted once, and the cumulative on-time is stored at each event,
+ * so that each query is a binary search (O(log n)) instead of a sort and scan of the whole month.
+ * Only states that draw power count as usage, as in `calculateEnergyUsageSimple`.
+ *
+ * @param {Object} monthUsageProfile
+ * @param {string} monthUsageProfile.initial
+ * @param {Array<Object>} monthUsageProfile.events
+ * @param {Object} [options]
+ * @param {number} [options.dayStartOffset=0] The minutes after midnight that each day starts, for usageForDay
+ * @returns {Object} Object containing usageForDay(day) and usageBetween(start, end) query functions
+ * @throws {Error} When the profile, any event state or the day start offset is invalid
+ */
+const createUsageIndex = (monthUsageProfile, { dayStartOffset = 0 } = {}) => {
+  validateDayStartOffset(dayStartOffset);
+  validateProfile(monthUsageProfile);
+  validateMonthEvents(monthUsageProfile.events);
+
+  const sortedEvents = sortEventByTimeStamp(monthUsageProfile.events);
+  const timestamps = sortedEvents.map((event) => event.timestamp);
+  let resolvedState = monthUsageProfile.initial;
+  const isOn = sortedEvents.map((event) => {
+    resolvedState = getNextState(resolvedState, event.state);
+    return stateDrawsPower(resolvedState);
+  });
+  const cumulativeUsage = [];
+
+  const initiallyOn = stateDrawsPower(monthUsageProfile.initial);
+  let previousTimestamp = 0;
+  let previousOn = initiallyOn;
+  let total = 0;
+
+  for (let i = 0; i < sortedEvents.length; i++) {
+    if (previousOn) {
+      total += timestamps[i] - previousTimestamp;
+    }
+    cumulativeUsage.push(total);
+    previousTimestamp = timestamps[i];
+    previousOn = isOn[i];
+  }
 
-  return calculateEnergyUsageSimple(dayProfile);
+  // The total on-time from the start of the epoch up to the given time
+  const usageUntil = (time) => {
+    const position = findLastPositionAtOrBefore(timestamps, time);
+    if (position === -1) {
+      return initiallyOn ? time : 0;
+    }
+    const sinceLastEvent = isOn[position] ? time - timestamps[position] : 0;
+    return cumulativeUsage[position] + sinceLastEvent;
+  };
+
+  /**
+   * Calculates the energy usage between two epoch timestamps
+   *
+   * @param {number} start Start timestamp (inclusive)
+   * @param {number} end End timestamp (exclusive)
+   * @returns {number} The energy usage in minutes
+   * @throws {TimeRangeError} When either timestamp is not a finite, non-negative number, or start is after end
+   */
+  const usageBetween = (start, end) => {
+    validateTimeRange(start, end);
+    return usageUntil(end) - usageUntil(start);
+  };
+
+  /**
+   * Calculates the energy usage for a specific day
+   *
+   * @param {number} day The day number
+   * @returns {number} The energy usage in minutes
+   * @throws {Error} When day is not an integer or out of range
+   */
+  const usageForDay = (day) => {
+    validateDay(day);
+    const { epochDayStart, epochDayEnd } = calculateEpochDayBoundaries(
+      day,
+      dayStartOffset
+    );
+    return usageBetween(epochDayStart, epochDayEnd);
+  };
+
+  return { usageForDay, usageBetween };
+};
+
+/**
+ * STATE INTERVALS
+ *
+ * The calculators collapse a profile into a single number. `getStateIntervals` instead returns the
+ * resolved timeline of the profile, which is what a UI needs to draw on/off bars, and
+ * `getIntervalTotals` derives the usage and savings from that same timeline so the bars and the
+ * totals always agree.
+ */
+
+/**
+ * Calculates the number of whole days a profile covers, from its last event
+ *
+ * @param {Array<Object>} sortedEvents The sorted events array
+ * @returns {number} The number of days, at least one
+ */
+const getProfileDays = (sortedEvents) => {
+  if (sortedEvents.length === 0) {
+    return 1;
+  }
+  return Math.max(1, Math.ceil(sortedEvents.at(-1).timestamp / MAX_IN_PERIOD));
+};
+
+/**
+ * Resolves a profile into the intervals of time the appliance spent in each state
+ *
+ * The intervals are sorted, do not overlap and cover the whole period from timestamp 0 to the end
+ * of the last day. Repeated events are merged into the interval they repeat, and an 'off' after an
+ * 'auto-off' stays part of the auto-off interval, as the device was the original trigger. Works for
+ * single-day profiles and month profiles alike.
+ *
+ * @param {Object} profile The usage profile
+ * @param {Object} [options]
+ * @param {number} [options.days] The number of days the period covers, by default up to the day of the last event
+ * @returns {Array<Object>} Array of intervals, each with a state, start, end and duration in minutes
+ * @throws {Error} When the profile, an event state or an event timestamp is invalid
+ */
+const getStateIntervals = (profile, { days } = {}) => {
+  validateProfile(profile);
+  if (days !== undefined) {
+    validateDay(days);
+  }
+
+  const sortedEvents = sortEventByTimeStamp(profile.events);
+  const periodEnd = (days ?? getProfileDays(sortedEvents)) * MAX_IN_PERIOD;
+
+  profile.events.forEach((event, index) => {
+    validateState(event.state, index);
+    if (
+      typeof event.timestamp !== 'number' ||
+      !(event.timestamp >= 0 && event.timestamp <= periodEnd)
+    ) {
+      throw new ProfileValidationError(
+        'events out of range',
+        ERROR_CODE.TIMESTAMP_OUT_OF_RANGE,
+        { value: event.timestamp, index, range: { min: 0, max: periodEnd } }
+      );
+    }
+  });
+
+  const intervals = [];
+  let state = profile.initial;
+  let start = 0;
+
+  // Closes the current state at the given time, extending the last interval if it has the same state
+  const closeInterval = (end) => {
+    if (end === start) {
+      return;
+    }
+    const lastInterval = intervals.at(-1);
+    if (lastInterval && lastInterval.state === state) {
+      lastInterval.end = end;
+      lastInterval.duration = end - lastInterval.start;
+    } else {
+      intervals.push({ state, start, end, duration: end - start });
+    }
+    start = end;
+  };
+
+  for (const event of sortedEvents) {
+    closeInterval(event.timestamp);
+    state = getNextState(state, event.state);
+  }
+  closeInterval(periodEnd);
+
+  return intervals;
+};
+
+/**
+ * Joins consecutive state intervals that draw power into continuous on-runs
+ *
+ * @param {Array<Object>} intervals The intervals from `getStateIntervals`
+ * @returns {Array<Object>} Array of on-runs, each with a start, end and minutes
+ */
+const getOnRuns = (intervals) => {
+  const runs = [];
+
+  intervals
+    .filter((interval) => stateDrawsPower(interval.state))
+    .forEach((interval) => {
+      const lastRun = runs.at(-1);
+      if (lastRun && lastRun.end === interval.start) {
+        lastRun.end = interval.end;
+        lastRun.minutes = lastRun.end - lastRun.start;
+      } else {
+        runs.push({
+          start: interval.start,
+          end: interval.end,
+          minutes: interval.duration,
+        });
+      }
+    });
+
+  return runs;
+};
+
+/**
+ * Totals the usage and savings of a set of state intervals
+ *
+ * @param {Array<Object>} intervals The intervals from `getStateIntervals`
+ * @returns {Object} Object containing the usage and savings in minutes
+ */
+const getIntervalTotals = (intervals) => {
+  return intervals.reduce(
+    (totals, interval) => {
+      if (stateDrawsPower(interval.state)) {
+        totals.usage += interval.duration;
+      } else if (stateCountsAsSavings(interval.state)) {
+        totals.savings += interval.duration;
+      }
+      return totals;
+    },
+    { usage: 0, savings: 0 }
+  );
+};
+
+/**
+ * PROFILE INSPECTION
+ *
+ * `validateProfile` and the calculators throw on the first problem they find. `inspectProfile`
+ * instead reports every problem with a profile, and `repairProfile` skips or repairs bad events
+ * so that a single corrupt reading does not fail a whole report. `canonicaliseProfile` removes
+ * the redundant events that the calculators ignore, for storing and shipping profiles.
+ */
+
+const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info',
+};
+
+// Issues that the calculators throw on share their error codes.
+const ISSUE_CODE = {
+  INVALID_PROFILE: ERROR_CODE.INVALID_PROFILE,
+  MISSING_INITIAL_STATE: ERROR_CODE.MISSING_INITIAL_STATE,
+  INVALID_INITIAL_STATE: ERROR_CODE.INVALID_INITIAL_STATE,
+  MISSING_EVENTS: ERROR_CODE.MISSING_EVENTS,
+  INVALID_EVENTS: ERROR_CODE.INVALID_EVENTS,
+  INVALID_EVENT: 'INVALID_EVENT',
+  INVALID_STATE: ERROR_CODE.INVALID_STATE,
+  MISSING_TIMESTAMP: 'MISSING_TIMESTAMP',
+  INVALID_TIMESTAMP: ERROR_CODE.INVALID_TIMESTAMP,
+  TIMESTAMP_OUT_OF_RANGE: ERROR_CODE.TIMESTAMP_OUT_OF_RANGE,
+  EVENT_OUT_OF_ORDER: ERROR_CODE.EVENT_OUT_OF_ORDER,
+  REDUNDANT_EVENT: 'REDUNDANT_EVENT',
+};
+
+const REPAIR_ACTION = {
+  DROPPED: 'dropped',
+  REPAIRED: 'repaired',
+  REORDERED: 'reordered',
+};
+
+const NUMERIC_PATTERN = /^\s*-?\d+(\.\d+)?\s*$/;
+
+/**
+ * Checks the profile-level properties of a profile, without looking at the events
+ *
+ * @param {Object} profile The usage profile to check
+ * @returns {Array<Object>} Array of issues, each with a code, severity and message
+ */
+const inspectProfileShape = (profile) => {
+  const error = (code, message) => ({
+    code,
+    severity: SEVERITY.ERROR,
+    message,
+  });
+
+  if (!profile || typeof profile !== 'object') {
+    return [
+      error(ISSUE_CODE.INVALID_PROFILE, 'profile must be a valid object'),
+    ];
+  }
+
+  const issues = [];
+
+  if (!profile.hasOwnProperty('initial')) {
+    issues.push(
+      error(
+        ISSUE_CODE.MISSING_INITIAL_STATE,
+        'profile must have an initial state'
+      )
+    );
+  } else if (!stateRegistry.has(profile.initial)) {
+    issues.push(
+      error(ISSUE_CODE.INVALID_INITIAL_STATE, 'invalid initial state')
+    );
+  }
+
+  if (!profile.hasOwnProperty('events')) {
+    issues.push(
+      error(ISSUE_CODE.MISSING_EVENTS, 'profile must have an events array')
+    );
+  } else if (!Array.isArray(profile.events)) {
+    issues.push(
+      error(ISSUE_CODE.INVALID_EVENTS, 'profile.events must be an array')
+    );
+  }
+
+  return issues;
+};
+
+/**
+ * Checks a single event, without comparing it to the other events
+ *
+ * The state and the timestamp are checked separately, so an event with both wrong has an issue
+ * for each.
+ *
+ * @param {Object} event The event to check
+ * @param {number} maxTimestamp The latest valid timestamp
+ * @returns {Array<Object>} Array of issues with the event, each with a code and message
+ */
+const inspectEvent = (event, maxTimestamp) => {
+  if (!event || typeof event !== 'object') {
+    return [{ code: ISSUE_CODE.INVALID_EVENT, message: 'invalid event' }];
+  }
+
+  const issues = [];
+
+  if (!stateRegistry.has(event.state)) {
+    issues.push({ code: ISSUE_CODE.INVALID_STATE, message: 'invalid state' });
+  }
+
+  if (event.timestamp === undefined || event.timestamp === null) {
+    issues.push({
+      code: ISSUE_CODE.MISSING_TIMESTAMP,
+      message: 'event must have a timestamp',
+    });
+  } else if (
+    typeof event.timestamp !== 'number' ||
+    !Number.isFinite(event.timestamp)
+  ) {
+    issues.push({
+      code: ISSUE_CODE.INVALID_TIMESTAMP,
+      message: 'timestamp must be a number',
+    });
+  } else if (event.timestamp < 0 || event.timestamp > maxTimestamp) {
+    issues.push({
+      code: ISSUE_CODE.TIMESTAMP_OUT_OF_RANGE,
+      message: 'events out of range',
+    });
+  }
+
+  return issues;
+};
+
+/**
+ * Reports every problem with a usage profile instead of throwing on the first one
+ *
+ * Errors are problems the calculators would throw on, warnings are events that are out of order
+ * (which the month calculators sort, but the single-day calculators do not), and info issues
+ * are redundant events that the calculators ignore.
+ *
+ * @param {Object} profile The usage profile to inspect
+ * @param {Object} [options]
+ * @param {number} [options.days=1] The number of days the profile covers, which sets the valid timestamp range
+ * @returns {Array<Object>} Array of issues, each with a code, severity, message and (for events) index
+ */
+const inspectProfile = (profile, { days = 1 } = {}) => {
+  const issues = inspectProfileShape(profile);
+  if (!profile || !Array.isArray(profile.events)) {
+    return issues;
+  }
+
+  const maxTimestamp = days * MAX_IN_PERIOD;
+  let previousTimestamp = -Infinity;
+  let previousState = stateRegistry.has(profile.initial)
+    ? profile.initial
+    : undefined;
+
+  profile.events.forEach((event, index) => {
+    const eventIssues = inspectEvent(event, maxTimestamp);
+    if (eventIssues.length > 0) {
+      eventIssues.forEach(({ code, message }) =>
+        issues.push({ code, severity: SEVERITY.ERROR, message, index })
+      );
+      return;
+    }
+
+    if (event.timestamp < previousTimestamp) {
+      issues.push({
+        code: ISSUE_CODE.EVENT_OUT_OF_ORDER,
+        severity: SEVERITY.WARNING,
+        message: 'event is earlier than the event before it',
+        index,
+      });
+    } else if (
+      previousState !== undefined &&
+      getNextState(previousState, event.state) === previousState
+    ) {
+      issues.push({
+        code: ISSUE_CODE.REDUNDANT_EVENT,
+        severity: SEVERITY.INFO,
+        message: 'event does not change the state',
+        index,
+      });
+    }
+
+    previousTimestamp = Math.max(previousTimestamp, event.timestamp);
+    previousState =
+      previousState === undefined
+        ? event.state
+        : getNextState(previousState, event.state);
+  });
+
+  return issues;
+};
+
+/**
+ * Skips or repairs the bad events in a usage profile
+ *
+ * Numeric strings are converted to number timestamps, events that are out of order are sorted,
+ * and any other invalid event is dropped. Problems with the profile itself, such as an invalid
+ * initial state, cannot be repaired and still throw.
+ *
+ * @param {Object} profile The usage profile to repair
+ * @param {Object} [options]
+ * @param {number} [options.days=1] The number of days the profile covers, which sets the valid timestamp range
+ * @returns {Object} Object containing the repaired profile, and the repairs made to it
+ * @throws {Error} When the profile itself is invalid
+ */
+const repairProfile = (profile, { days = 1 } = {}) => {
+  validateProfile(profile);
+
+  const maxTimestamp = days * MAX_IN_PERIOD;
+  const repairs = [];
+  const events = [];
+
+  profile.events.forEach((originalEvent, index) => {
+    let event = originalEvent;
+    let issues = inspectEvent(event, maxTimestamp);
+
+    // A numeric string timestamp is only worth repairing when nothing else is wrong with the event
+    if (
+      issues.length === 1 &&
+      issues[0].code === ISSUE_CODE.INVALID_TIMESTAMP &&
+      NUMERIC_PATTERN.test(event.timestamp)
+    ) {
+      event = { ...event, timestamp: Number(event.timestamp) };
+      repairs.push({
+        code: issues[0].code,
+        action: REPAIR_ACTION.REPAIRED,
+        index,
+      });
+      issues = inspectEvent(event, maxTimestamp);
+    }
+
+    if (issues.length > 0) {
+      repairs.push({
+        code: issues[0].code,
+        action: REPAIR_ACTION.DROPPED,
+        index,
+      });
+      return;
+    }
+
+    events.push({ event, index });
+  });
+
+  events.forEach(({ event, index }, position) => {
+    if (
+      position > 0 &&
+      event.timestamp < events[position - 1].event.timestamp
+    ) {
+      repairs.push({
+        code: ISSUE_CODE.EVENT_OUT_OF_ORDER,
+        action: REPAIR_ACTION.REORDERED,
+        index,
+      });
+    }
+  });
+
+  return {
+    profile: {
+      initial: profile.initial,
+      events: sortEventByTimeStamp(events.map(({ event }) => event)),
+    },
+    repairs: repairs.sort((a, b) => a.index - b.index),
+  };
+};
+
+/**
+ * Wraps a calculator so that it repairs the profile before calculating, instead of throwing
+ *
+ * For example, `lenient(calculateEnergyUsageForDay, { days: 31 })(monthProfile, 4)`.
+ *
+ * @param {Function} calculator A calculator that takes a profile as its first argument
+ * @param {Object} [options] Options for `repairProfile`
+ * @returns {Function} A calculator that returns an object containing the result and the repairs made
+ */
+const lenient = (calculator, options) => {
+  return (profile, ...args) => {
+    const { profile: repairedProfile, repairs } = repairProfile(
+      profile,
+      options
+    );
+    return { result: calculator(repairedProfile, ...args), repairs };
+  };
+};
+
+/**
+ * Groups sorted events by timestamp
+ *
+ * @param {Array<Object>} sortedEvents Array of events, sorted by timestamp
+ * @returns {Array<Array<Object>>} Array of groups of events that share a timestamp, in order
+ */
+const groupEventsByTimestamp = (sortedEvents) => {
+  const groups = [];
+  sortedEvents.forEach((event) => {
+    const group = groups.at(-1);
+    if (group && group[0].timestamp === event.timestamp) {
+      group.push(event);
+    } else {
+      groups.push([event]);
+    }
+  });
+  return groups;
+};
+
+/**
+ * Reduces a usage profile to the fewest events that give the same state at every moment
+ *
+ * Events that do not change the state, such as a repeated 'on' or an 'off' after 'auto-off', are
+ * removed. Events that share a timestamp are collapsed into the one event that sets the state
+ * they leave, unless that event would be ignored on its own (an 'auto-off' then 'on' then 'off'
+ * still needs the 'on'). The state at every moment decides the usage and savings, including which
+ * switch-offs count as savings, so every calculator gives the same result before and after.
+ *
+ * The events are sorted, as the month calculators would sort them, so a single-day profile must
+ * already be in order to give the same result.
+ *
+ * @param {Object} profile The usage profile to canonicalise
+ * @returns {Object} Object containing the canonical profile, and the number of events removed
+ * @throws {Error} When the profile, or any event state or timestamp, is invalid
+ */
+const canonicaliseProfile = (profile) => {
+  validateProfile(profile);
+  profile.events.forEach((event, index) => {
+    validateState(event.state, index);
+    validateEpochTimestamp(event.timestamp, index);
+  });
+
+  const events = [];
+  let currentState = profile.initial;
+
+  groupEventsByTimestamp(sortEventByTimeStamp(profile.events)).forEach(
+    (group) => {
+      const changes = [];
+      let groupState = currentState;
+      group.forEach((event) => {
+        const nextState = getNextState(groupState, event.state);
+        if (nextState !== groupState) {
+          changes.push(event);
+          groupState = nextState;
+        }
+      });
+
+      if (groupState === currentState) {
+        return;
+      }
+      if (getNextState(currentState, groupState) === groupState) {
+        events.push(changes.at(-1));
+      } else {
+        events.push(...changes);
+      }
+      currentState = groupState;
+    }
+  );
+
+  return {
+    profile: { initial: profile.initial, events },
+    removed: profile.events.length - events.length,
+  };
+};
+
+/**
+ * ENERGY UNITS
+ *
+ * The calculators above measure energy as minutes switched on. Given an appliance descriptor
+ * with its power rating, the functions below also convert those minutes into Wh and kWh.
+ *
+ * The structure for `appliance` looks like this (as an example):
+ * ```
+ * {
+ *    ratedWatts: 2000,
+ *    standbyWatts: { 'off': 1, 'auto-off': 3 },
+ * }
+ * ```
+ * `standbyWatts` is optional, and maps any state that does not draw the rated power (including
+ * registered custom states) to the power it draws instead. A state left out draws nothing.
+ */
+
+const MINUTES_IN_HOUR = 60;
+const WH_IN_KWH = 1000;
+
+const ENERGY_UNITS = {
+  minutes: 'min',
+  wh: 'Wh',
+  kwh: 'kWh',
+};
+
+const isNonNegativeNumber = (number) =>
+  typeof number === 'number' && Number.isFinite(number) && number >= 0;
+
+/**
+ * Validates an appliance descriptor
+ *
+ * @param {Object} appliance The appliance descriptor to validate
+ * @param {number} appliance.ratedWatts The power drawn when the appliance is on
+ * @param {Object} [appliance.standbyWatts] Map of states to the power drawn in them
+ * @throws {ConfigurationError} When the appliance is missing, has invalid power ratings, or has standby power for an unknown state
+ */
+const validateAppliance = (appliance) => {
+  if (!appliance || typeof appliance !== 'object') {
+    throw new ConfigurationError(
+      'appliance must be a valid object',
+      ERROR_CODE.INVALID_APPLIANCE,
+      { value: appliance }
+    );
+  }
+
+  if (!isNonNegativeNumber(appliance.ratedWatts)) {
+    throw new ConfigurationError(
+      'appliance must have a valid ratedWatts',
+      ERROR_CODE.INVALID_APPLIANCE,
+      { value: appliance.ratedWatts, range: { min: 0, max: Infinity } }
+    );
+  }
+
+  if (appliance.standbyWatts === undefined) {
+    return;
+  }
+
+  if (!appliance.standbyWatts || typeof appliance.standbyWatts !== 'object') {
+    throw new ConfigurationError(
+      'appliance.standbyWatts must be a valid object',
+      ERROR_CODE.INVALID_APPLIANCE,
+      { value: appliance.standbyWatts }
+    );
+  }
+
+  Object.entries(appliance.standbyWatts).forEach(([state, watts]) => {
+    if (!stateRegistry.has(state)) {
+      throw new ConfigurationError(
+        'invalid standby watts state',
+        ERROR_CODE.INVALID_APPLIANCE,
+        { value: state, allowed: getRegisteredStates() }
+      );
+    }
+    if (!isNonNegativeNumber(watts)) {
+      throw new ConfigurationError(
+        'invalid standby watts',
+        ERROR_CODE.INVALID_APPLIANCE,
+        { value: watts, range: { min: 0, max: Infinity } }
+      );
+    }
+  });
+};
+
+/**
+ * Gets the standby power drawn by an appliance in the given state
+ *
+ * @param {Object} appliance The appliance descriptor
+ * @param {string} state A state that does not draw the rated power
+ * @returns {number} The standby power in watts
+ */
+const getStandbyWatts = (appliance, state) => {
+  return (appliance.standbyWatts && appliance.standbyWatts[state]) || 0;
+};
+
+/**
+ * Builds an energy result from a number of minutes and the energy used in Wh
+ *
+ * @param {number} minutes The number of minutes
+ * @param {number} wh The energy in Wh
+ * @returns {Object} Object containing minutes, wh, kwh and their units
+ */
+const toEnergyResult = (minutes, wh) => {
+  return {
+    minutes,
+    wh,
+    kwh: wh / WH_IN_KWH,
+    units: ENERGY_UNITS,
+  };
+};
+
+/**
+ * Converts the state intervals of a day into the energy used by an appliance
+ *
+ * Each interval is charged at the power of its state, the rated power for states that draw power
+ * and the standby power otherwise, the same way the tariffs price them.
+ *
+ * @param {Object} appliance The appliance descriptor
+ * @param {number} usageMinutes The minutes switched on
+ * @param {Array<Object>} intervals The state intervals covering the day
+ * @returns {Object} The energy result, with minutes being the minutes switched on
+ */
+const toUsageEnergyResult = (appliance, usageMinutes, intervals) => {
+  const wattMinutes = intervals.reduce(
+    (total, interval) =>
+      total +
+      interval.duration *
+        (stateDrawsPower(interval.state)
+          ? appliance.ratedWatts
+          : getStandbyWatts(appliance, interval.state)),
+    0
+  );
+
+  return toEnergyResult(usageMinutes, wattMinutes / MINUTES_IN_HOUR);
+};
+
+/**
+ * Converts the state intervals of a day into the energy saved by an appliance
+ *
+ * The energy saved is the rated power less the standby power still drawn in each state that
+ * counts as savings.
+ *
+ * @param {Object} appliance The appliance descriptor
+ * @param {number} savingsMinutes The minutes switched off by the device
+ * @param {Array<Object>} intervals The state intervals covering the day
+ * @returns {Object} The energy result, with minutes being the minutes switched off by the device
+ */
+const toSavingsEnergyResult = (appliance, savingsMinutes, intervals) => {
+  const wattMinutes = intervals
+    .filter((interval) => stateCountsAsSavings(interval.state))
+    .reduce(
+      (total, interval) =>
+        total +
+        interval.duration *
+          (appliance.ratedWatts - getStandbyWatts(appliance, interval.state)),
+      0
+    );
+
+  return toEnergyResult(savingsMinutes, wattMinutes / MINUTES_IN_HOUR);
+};
+
+/**
+ * Calculates the energy used by an appliance over a single day
+ *
+ * @param {Object} profile The usage profile containing initial state and events
+ * @param {Object} appliance The appliance descriptor
+ * @returns {Object} Object containing the minutes switched on, wh, kwh and their units
+ * @throws {Error} When the profile or appliance is invalid
+ */
+const calculateEnergyUsageSimpleInKwh = (profile, appliance) => {
+  validateAppliance(appliance);
+
+  return toUsageEnergyResult(
+    appliance,
+    calculateEnergyUsageSimple(profile),
+    getStateIntervals(profile, { days: 1 })
+  );
+};
+
+/**
+ * Calculates the energy saved by auto-off over a single day
+ *
+ * @param {Object} profile The usage profile
+ * @param {Object} appliance The appliance descriptor
+ * @returns {Object} Object containing the minutes saved, wh, kwh and their units
+ * @throws {Error} When the profile or appliance is invalid
+ */
+const calculateEnergySavingsInKwh = (profile, appliance) => {
+  validateAppliance(appliance);
+
+  return toSavingsEnergyResult(
+    appliance,
+    calculateEnergySavings(profile),
+    getStateIntervals(profile, { days: 1 })
+  );
+};
+
+/**
+ * Calculates the energy used by an appliance for a specific day from a month usage profile
+ *
+ * @param {Object} monthUsageProfile
+ * @param {number} day
+ * @param {Object} appliance The appliance descriptor
+ * @param {Object} [options]
+ * @param {number} [options.dayStartOffset=0] The minutes after midnight that each day starts
+ * @returns {Object} Object containing the minutes switched on, wh, kwh and their units
+ * @throws {Error} When day is not an integer or out of range, the appliance is invalid, or the day start offset is invalid
+ */
+const calculateEnergyUsageForDayInKwh = (
+  monthUsageProfile,
+  day,
+  appliance,
+  { dayStartOffset = 0 } = {}
+) => {
+  validateAppliance(appliance);
+
+  const usage = calculateEnergyUsageForDay(monthUsageProfile, day, {
+    dayStartOffset,
+  });
+  return toUsageEnergyResult(
+    appliance,
+    usage,
+    getStateIntervals(buildDayProfile(monthUsageProfile, day, dayStartOffset), {
+      days: 1,
+    })
+  );
 };
 
 module.exports = {
   calculateEnergyUsageSimple,
   calculateEnergySavings,
+  getAutoOffEpisodes,
   calculateEnergyUsageForDay,
+  calculateEnergySavingsForDay,
+  calculateEnergyUsageForRange,
+  calculateEnergyUsageForWindow,
+  createUsageIndex,
+  calculateEnergyUsageSimpleInKwh,
+  calculateEnergySavingsInKwh,
+  calculateEnergyUsageForDayInKwh,
+  validateAppliance,
+  getStandbyWatts,
+  getStateIntervals,
+  getOnRuns,
+  getIntervalTotals,
+  inspectProfile,
+  repairProfile,
+  lenient,
+  canonicaliseProfile,
   calculateEpochStartEndPositions,
+  findLastPositionAtOrBefore,
   getDayInitialState,
+  getCarriedOverState,
+  buildDayProfile,
+  // The earlier names, from when only the savings calculators used them
+  getDaySavingsInitialState: getCarriedOverState,
+  buildDaySavingsProfile: buildDayProfile,
   normaliseEventsForDay,
   validateProfile,
   getInitialStateResult,
   sortEventByTimeStamp,
   validateDay,
+  validateDayRange,
   validateState,
   validateInitialState,
   validateTimestamp,
+  validateEpochTimestamp,
+  validateDayStartOffset,
+  isNonNegativeNumber,
   calculateEpochDayBoundaries,
   handleEmptyEvents,
   MAX_IN_PERIOD,
+  MINUTES_IN_HOUR,
+  WH_IN_KWH,
   STATE,
+  EPISODE_END,
+  registerState,
+  unregisterState,
+  getRegisteredStates,
+  getStateDefinition,
+  stateDrawsPower,
+  stateCountsAsSavings,
+  getNextState,
+  ENERGY_UNITS,
+  SEVERITY,
+  ISSUE_CODE,
+  REPAIR_ACTION,
+  EnergyCalculationError,
+  ProfileValidationError,
+  InvalidStateError,
+  ParseError,
+  DayRangeError,
+  TimeRangeError,
+  ConfigurationError,
+  ERROR_CODE,
 };
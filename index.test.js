@@ -1,20 +1,44 @@
 const {
   calculateEnergyUsageSimple,
   calculateEnergySavings,
+  getAutoOffEpisodes,
   calculateEnergyUsageForDay,
+  calculateEnergySavingsForDay,
+  calculateEnergyUsageForRange,
+  calculateEnergyUsageForWindow,
+  createUsageIndex,
+  getStateIntervals,
+  getIntervalTotals,
+  calculateEnergyUsageSimpleInKwh,
+  calculateEnergySavingsInKwh,
+  calculateEnergyUsageForDayInKwh,
+  validateAppliance,
+  inspectProfile,
+  repairProfile,
+  lenient,
+  canonicaliseProfile,
   calculateEpochStartEndPositions,
   MAX_IN_PERIOD,
   validateProfile,
   getInitialStateResult,
   sortEventByTimeStamp,
   getDayInitialState,
+  getCarriedOverState,
+  getDaySavingsInitialState,
   normaliseEventsForDay,
   validateDay,
+  validateDayRange,
   validateState,
   validateInitialState,
   validateTimestamp,
+  validateDayStartOffset,
   calculateEpochDayBoundaries,
   handleEmptyEvents,
+  registerState,
+  unregisterState,
+  getRegisteredStates,
+  getStateDefinition,
+  getNextState,
 } = require('./index');
 
 // Note: I've modified + addedsome tests to be more descriptive, and separated out some tests into describe blocks. Each it() should be a single test.
@@ -87,6 +111,18 @@ describe('calculateEnergyUsageSimple', () => {
     );
   });
 
+  it('should stop counting usage when the appliance is switched off automatically', () => {
+    const usageProfile = {
+      initial: 'off',
+      events: [
+        { timestamp: 100, state: 'on' },
+        { timestamp: 500, state: 'auto-off' },
+        { timestamp: 600, state: 'off' },
+      ],
+    };
+    expect(calculateEnergyUsageSimple(usageProfile)).toEqual(500 - 100);
+  });
+
   it('should handle timestamps outside of minutes in a day', () => {
     const usageProfile = {
       initial: 'on',
@@ -103,230 +139,1584 @@ describe('calculateEnergyUsageSimple', () => {
     );
   });
 
-  it('should handle invalid initial states', () => {
-    const usageProfile = {
-      initial: 'error',
-      events: [{ timestamp: 20, state: 'on' }],
-    };
+  it('should handle invalid initial states', () => {
+    const usageProfile = {
+      initial: 'error',
+      events: [{ timestamp: 20, state: 'on' }],
+    };
+
+    expect(() => calculateEnergyUsageSimple(usageProfile)).toThrow(
+      /invalid initial state/
+    );
+  });
+});
+
+// Part 2
+
+describe('calculateEnergySavings', () => {
+  it('should return zero for always on', () => {
+    const usageProfile = {
+      initial: 'on',
+      events: [],
+    };
+    expect(calculateEnergySavings(usageProfile)).toEqual(0);
+  });
+
+  it('should calculate zero for always switch off manually', () => {
+    const usageProfile = {
+      initial: 'off',
+      events: [],
+    };
+    expect(calculateEnergySavings(usageProfile)).toEqual(0);
+  });
+
+  it('should calculate max period for always switched off automatically', () => {
+    const usageProfile = {
+      initial: 'auto-off',
+      events: [],
+    };
+    expect(calculateEnergySavings(usageProfile)).toEqual(MAX_IN_PERIOD);
+  });
+
+  it('should calculate energy savings correctly on sensible data', () => {
+    const usageProfile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 100 },
+        { state: 'off', timestamp: 150 },
+        { state: 'on', timestamp: 200 },
+        { state: 'auto-off', timestamp: 500 },
+        { state: 'on', timestamp: 933 },
+        { state: 'off', timestamp: 1010 },
+        { state: 'on', timestamp: 1250 },
+        { state: 'auto-off', timestamp: 1320 },
+      ],
+    };
+    expect(calculateEnergySavings(usageProfile)).toEqual(
+      933 - 500 + (MAX_IN_PERIOD - 1320)
+    );
+  });
+
+  it('should calculate energy savings correctly on silly data (example 1)', () => {
+    const usageProfile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 100 },
+        { state: 'off', timestamp: 150 },
+        { state: 'on', timestamp: 200 },
+        { state: 'auto-off', timestamp: 500 },
+        { state: 'off', timestamp: 800 },
+        { state: 'on', timestamp: 933 },
+        { state: 'off', timestamp: 1010 },
+        { state: 'on', timestamp: 1250 },
+        { state: 'on', timestamp: 1299 },
+        { state: 'auto-off', timestamp: 1320 },
+      ],
+    };
+    expect(calculateEnergySavings(usageProfile)).toEqual(
+      933 - 500 + (MAX_IN_PERIOD - 1320)
+    );
+  });
+
+  it('should calculate energy savings correctly on silly data (example 2)', () => {
+    const usageProfile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 250 },
+        { state: 'on', timestamp: 299 },
+        { state: 'auto-off', timestamp: 320 },
+        { state: 'off', timestamp: 500 },
+      ],
+    };
+    expect(calculateEnergySavings(usageProfile)).toEqual(MAX_IN_PERIOD - 320);
+  });
+
+  it('should count an auto-off initial state as savings from the start of the day', () => {
+    const usageProfile = {
+      initial: 'auto-off',
+      events: [
+        { state: 'off', timestamp: 100 },
+        { state: 'on', timestamp: 200 },
+      ],
+    };
+    expect(calculateEnergySavings(usageProfile)).toEqual(200);
+  });
+
+  it('should start a new auto-off period after the appliance is switched back on', () => {
+    const usageProfile = {
+      initial: 'on',
+      events: [
+        { state: 'auto-off', timestamp: 500 },
+        { state: 'on', timestamp: 600 },
+        { state: 'on', timestamp: 650 },
+        { state: 'auto-off', timestamp: 700 },
+      ],
+    };
+    expect(calculateEnergySavings(usageProfile)).toEqual(
+      600 - 500 + (MAX_IN_PERIOD - 700)
+    );
+  });
+
+  it('should handle invalid states', () => {
+    const usageProfile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 250 },
+        { state: 'on', timestamp: 299 },
+        { state: 'error', timestamp: 320 },
+        { state: 'auto-off', timestamp: 500 },
+      ],
+    };
+    expect(() => calculateEnergySavings(usageProfile)).toThrow(/invalid state/);
+  });
+});
+
+// Part 3
+describe('getAutoOffEpisodes', () => {
+  const profile = {
+    initial: 'on',
+    events: [
+      { state: 'auto-off', timestamp: 100 },
+      { state: 'off', timestamp: 150 },
+      { state: 'on', timestamp: 300 },
+      { state: 'off', timestamp: 500 },
+      { state: 'auto-off', timestamp: 600 },
+      { state: 'auto-off', timestamp: 700 },
+    ],
+  };
+
+  it('should list each auto-off episode', () => {
+    expect(getAutoOffEpisodes(profile)).toEqual([
+      {
+        start: 100,
+        end: 300,
+        minutes: 200,
+        endedBy: 'switched-on',
+        redundantOffs: [150],
+      },
+      {
+        start: 600,
+        end: MAX_IN_PERIOD,
+        minutes: MAX_IN_PERIOD - 600,
+        endedBy: 'end-of-day',
+        redundantOffs: [],
+      },
+    ]);
+  });
+
+  it('should add up to calculateEnergySavings', () => {
+    const totalMinutes = getAutoOffEpisodes(profile).reduce(
+      (total, episode) => total + episode.minutes,
+      0
+    );
+    expect(totalMinutes).toEqual(calculateEnergySavings(profile));
+  });
+
+  it('should start an episode at the beginning of the day for an auto-off initial state', () => {
+    const carriedOver = {
+      initial: 'auto-off',
+      events: [{ state: 'on', timestamp: 45 }],
+    };
+    expect(getAutoOffEpisodes(carriedOver)).toEqual([
+      {
+        start: 0,
+        end: 45,
+        minutes: 45,
+        endedBy: 'switched-on',
+        redundantOffs: [],
+      },
+    ]);
+  });
+
+  it('should return no episodes without auto-off events', () => {
+    const manual = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 10 },
+        { state: 'off', timestamp: 20 },
+      ],
+    };
+    expect(getAutoOffEpisodes(manual)).toEqual([]);
+  });
+
+  it('should throw error for an invalid state', () => {
+    expect(() =>
+      getAutoOffEpisodes({
+        initial: 'on',
+        events: [{ state: 'standby', timestamp: 10 }],
+      })
+    ).toThrow(/invalid state/);
+  });
+});
+
+describe('calculateEnergyUsageForDay', () => {
+  const monthProfile = {
+    initial: 'on',
+    events: [
+      { state: 'off', timestamp: 500 },
+      { state: 'on', timestamp: 900 },
+      { state: 'off', timestamp: 1400 },
+      { state: 'on', timestamp: 1700 },
+      { state: 'off', timestamp: 1900 },
+      { state: 'on', timestamp: 2599 },
+      { state: 'off', timestamp: 2900 },
+      { state: 'on', timestamp: 3000 },
+      { state: 'off', timestamp: 3500 },
+      { state: 'on', timestamp: 4000 },
+      { state: 'off', timestamp: 4420 },
+      { state: 'on', timestamp: 4500 },
+    ],
+  };
+
+  describe('should calculate the energy usage for an empty set of events correctly', () => {
+    it('should calculate the energy usage for an empty set when initial state is off', () => {
+      expect(
+        calculateEnergyUsageForDay({ initial: 'off', events: [] }, 10)
+      ).toEqual(0);
+    });
+    it('should calculate the energy usage for an empty set when initial state is on', () => {
+      expect(
+        calculateEnergyUsageForDay({ initial: 'on', events: [] }, 5)
+      ).toEqual(1440);
+    });
+  });
+
+  it('should calculate day 1 correctly', () => {
+    expect(calculateEnergyUsageForDay(monthProfile, 1)).toEqual(
+      500 - 0 + (1400 - 900)
+    );
+  });
+
+  it('should calculate day 2 correctly', () => {
+    expect(calculateEnergyUsageForDay(monthProfile, 2)).toEqual(
+      1900 - 1700 + (2880 - 2599)
+    );
+  });
+
+  it('should calculate day 3 correctly', () => {
+    expect(calculateEnergyUsageForDay(monthProfile, 3)).toEqual(
+      2900 - 2880 + (3500 - 3000) + (4320 - 4000)
+    );
+    // 20 - 0 + (620 - 120) + (1440 - 1120)
+  });
+
+  it('should calculate day 4 correctly', () => {
+    expect(calculateEnergyUsageForDay(monthProfile, 4)).toEqual(
+      4420 - 4320 + (5760 - 4500)
+    );
+    // 100 - 0 + (1440 - 180)
+  });
+
+  it('should calculate day 5 correctly', () => {
+    expect(calculateEnergyUsageForDay(monthProfile, 5)).toEqual(MAX_IN_PERIOD);
+  });
+
+  describe('should calculate day 2 correctly when the first event starts on day 4', () => {
+    const monthProfile1 = {
+      initial: 'off',
+      events: [{ timestamp: 4500, state: 'on' }],
+    };
+
+    it('day 2 should be 0', () => {
+      expect(calculateEnergyUsageForDay(monthProfile1, 2)).toEqual(0);
+    });
+
+    it('day 4 should be 1260', () => {
+      expect(calculateEnergyUsageForDay(monthProfile1, 4)).toEqual(1260);
+    });
+
+    it('day 15 should be MAX', () => {
+      expect(calculateEnergyUsageForDay(monthProfile1, 15)).toEqual(
+        MAX_IN_PERIOD
+      );
+    });
+
+    it('day 2 should be MAX when initial state is on', () => {
+      const monthProfileIntialOn = {
+        initial: 'on',
+        events: [{ timestamp: 4500, state: 'off' }],
+      };
+      expect(calculateEnergyUsageForDay(monthProfileIntialOn, 2)).toEqual(
+        MAX_IN_PERIOD
+      );
+    });
+  });
+
+  describe('should throw an error on an out of range day number', () => {
+    // The regular expression matches the message of the Error(), which is
+    // the first parameter to the Error class constructor.
+    it('should throw an error on an out of range day number -5', () => {
+      expect(() => calculateEnergyUsageForDay(monthProfile, -5)).toThrow(
+        /day out of range/
+      );
+    });
+    it('should throw an error on an out of range day number 0', () => {
+      expect(() => calculateEnergyUsageForDay(monthProfile, 0)).toThrow(
+        /day out of range/
+      );
+    });
+    it('should throw an error on an out of range day number 366', () => {
+      expect(() => calculateEnergyUsageForDay(monthProfile, 366)).toThrow(
+        /day out of range/
+      );
+    });
+  });
+
+  it('should not reorder the profile events', () => {
+    const events = [
+      { state: 'off', timestamp: 3000 },
+      { state: 'on', timestamp: 100 },
+    ];
+    calculateEnergyUsageForDay({ initial: 'off', events }, 1);
+    expect(events.map((event) => event.timestamp)).toEqual([3000, 100]);
+  });
+
+  it('should throw an error on a non-integer day number', () => {
+    expect(() => calculateEnergyUsageForDay(3.76)).toThrow(
+      /must be an integer/
+    );
+  });
+});
+
+describe('calculateEnergySavingsForDay', () => {
+  const monthProfile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 100 },
+      { state: 'auto-off', timestamp: 500 },
+      { state: 'on', timestamp: 900 },
+      { state: 'auto-off', timestamp: 4260 }, // Day 3, 23:00
+      { state: 'off', timestamp: 4380 }, // Day 4, redundant manual off
+      { state: 'on', timestamp: 4440 }, // Day 4, 02:00
+      { state: 'auto-off', timestamp: 5800 }, // Day 5
+    ],
+  };
+
+  it('should calculate day 1 correctly', () => {
+    expect(calculateEnergySavingsForDay(monthProfile, 1)).toEqual(900 - 500);
+  });
+
+  it('should return zero for a day without auto-off', () => {
+    expect(calculateEnergySavingsForDay(monthProfile, 2)).toEqual(0);
+  });
+
+  it('should count savings up to midnight for an auto-off late in the day', () => {
+    expect(calculateEnergySavingsForDay(monthProfile, 3)).toEqual(4320 - 4260);
+  });
+
+  it('should carry an auto-off state across midnight', () => {
+    expect(calculateEnergySavingsForDay(monthProfile, 4)).toEqual(4440 - 4320);
+  });
+
+  it('should count the whole day after the last event is an auto-off', () => {
+    expect(calculateEnergySavingsForDay(monthProfile, 6)).toEqual(
+      MAX_IN_PERIOD
+    );
+  });
+
+  it('should use the initial state for an empty set of events', () => {
+    expect(
+      calculateEnergySavingsForDay({ initial: 'auto-off', events: [] }, 3)
+    ).toEqual(MAX_IN_PERIOD);
+  });
+
+  it('should throw an error on an out of range day number', () => {
+    expect(() => calculateEnergySavingsForDay(monthProfile, 366)).toThrow(
+      /day out of range/
+    );
+  });
+
+  it('should throw an error on a non-integer day number', () => {
+    expect(() => calculateEnergySavingsForDay(monthProfile, 1.5)).toThrow(
+      /must be an integer/
+    );
+  });
+});
+
+describe('calculateEnergyUsageForRange', () => {
+  const monthProfile = {
+    initial: 'on',
+    events: [
+      { state: 'off', timestamp: 500 },
+      { state: 'on', timestamp: 900 },
+      { state: 'off', timestamp: 1400 },
+      { state: 'on', timestamp: 1700 },
+      { state: 'off', timestamp: 1900 },
+      { state: 'on', timestamp: 2599 },
+      { state: 'off', timestamp: 2900 },
+      { state: 'on', timestamp: 3000 },
+      { state: 'off', timestamp: 3500 },
+      { state: 'on', timestamp: 4000 },
+      { state: 'off', timestamp: 4420 },
+      { state: 'on', timestamp: 4500 },
+    ],
+  };
+
+  it('should match calculateEnergyUsageForDay for every day in the range', () => {
+    const expected = [1, 2, 3, 4, 5, 6].map((day) =>
+      calculateEnergyUsageForDay(monthProfile, day)
+    );
+    expect(calculateEnergyUsageForRange(monthProfile, 1, 6)).toEqual(expected);
+  });
+
+  it('should carry over the state from events before the range', () => {
+    expect(calculateEnergyUsageForRange(monthProfile, 3, 4)).toEqual([
+      2900 - 2880 + (3500 - 3000) + (4320 - 4000),
+      4420 - 4320 + (5760 - 4500),
+    ]);
+  });
+
+  it('should return a single day when the range starts and ends on the same day', () => {
+    expect(calculateEnergyUsageForRange(monthProfile, 2, 2)).toEqual([
+      1900 - 1700 + (2880 - 2599),
+    ]);
+  });
+
+  it('should use the initial state for an empty set of events', () => {
+    expect(
+      calculateEnergyUsageForRange({ initial: 'off', events: [] }, 1, 3)
+    ).toEqual([0, 0, 0]);
+  });
+
+  it('should use the last state for days after the last event', () => {
+    const profile = {
+      initial: 'on',
+      events: [{ state: 'off', timestamp: 500 }],
+    };
+    expect(calculateEnergyUsageForRange(profile, 1, 3)).toEqual([500, 0, 0]);
+  });
+
+  it('should throw an error on an inverted range', () => {
+    expect(() => calculateEnergyUsageForRange(monthProfile, 5, 2)).toThrow(
+      /invalid day range/
+    );
+  });
+
+  it('should throw an error on an out of range start day', () => {
+    expect(() => calculateEnergyUsageForRange(monthProfile, 0, 2)).toThrow(
+      /day out of range/
+    );
+  });
+
+  it('should throw an error on an out of range end day', () => {
+    expect(() => calculateEnergyUsageForRange(monthProfile, 1, 366)).toThrow(
+      /day out of range/
+    );
+  });
+
+  it('should throw an error on a non-integer start day', () => {
+    expect(() => calculateEnergyUsageForRange(monthProfile, 1.5, 2)).toThrow(
+      /must be an integer/
+    );
+  });
+
+  it('should throw an error on a non-integer end day', () => {
+    expect(() => calculateEnergyUsageForRange(monthProfile, 1, 2.5)).toThrow(
+      /must be an integer/
+    );
+  });
+});
+
+describe('calculateEnergyUsageForWindow', () => {
+  const monthProfile = {
+    initial: 'on',
+    events: [
+      { state: 'off', timestamp: 500 },
+      { state: 'on', timestamp: 900 },
+      { state: 'auto-off', timestamp: 1700 },
+      { state: 'on', timestamp: 2000 },
+    ],
+  };
+
+  it('should calculate usage between two timestamps', () => {
+    expect(calculateEnergyUsageForWindow(monthProfile, 400, 1000)).toEqual(
+      500 - 400 + (1000 - 900)
+    );
+  });
+
+  it('should calculate usage for a window across midnight', () => {
+    expect(calculateEnergyUsageForWindow(monthProfile, 1400, 1800)).toEqual(
+      1700 - 1400
+    );
+  });
+
+  it('should carry the state over from before the window', () => {
+    expect(calculateEnergyUsageForWindow(monthProfile, 1800, 1900)).toEqual(0);
+  });
+
+  it('should apply an event at the start of the window', () => {
+    expect(calculateEnergyUsageForWindow(monthProfile, 500, 900)).toEqual(0);
+  });
+
+  it('should use the last state after the last event', () => {
+    expect(calculateEnergyUsageForWindow(monthProfile, 3000, 4000)).toEqual(
+      1000
+    );
+  });
+
+  it('should match calculateEnergyUsageForDay for a whole day', () => {
+    expect(calculateEnergyUsageForWindow(monthProfile, 1440, 2880)).toEqual(
+      calculateEnergyUsageForDay(monthProfile, 2)
+    );
+  });
+
+  it('should return zero for an empty window', () => {
+    expect(calculateEnergyUsageForWindow(monthProfile, 1000, 1000)).toEqual(0);
+  });
+
+  it('should sort the events', () => {
+    expect(
+      calculateEnergyUsageForWindow(
+        {
+          initial: 'off',
+          events: [
+            { state: 'off', timestamp: 300 },
+            { state: 'on', timestamp: 100 },
+          ],
+        },
+        0,
+        1440
+      )
+    ).toEqual(200);
+  });
+
+  it('should throw an error on an inverted window', () => {
+    expect(() => calculateEnergyUsageForWindow(monthProfile, 200, 100)).toThrow(
+      /invalid time range/
+    );
+  });
+
+  it('should throw an error on a negative start', () => {
+    expect(() => calculateEnergyUsageForWindow(monthProfile, -1, 100)).toThrow(
+      /invalid time range/
+    );
+  });
+
+  it('should throw an error on an invalid event timestamp', () => {
+    expect(() =>
+      calculateEnergyUsageForWindow(
+        { initial: 'off', events: [{ state: 'on', timestamp: '100' }] },
+        0,
+        1440
+      )
+    ).toThrow(/invalid timestamp/);
+  });
+});
+
+describe('day start offset', () => {
+  const monthProfile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 300 },
+      { state: 'auto-off', timestamp: 400 },
+      { state: 'on', timestamp: 1500 },
+      { state: 'auto-off', timestamp: 1900 },
+    ],
+  };
+  const options = { dayStartOffset: 360 };
+
+  it('should shift the day for calculateEnergyUsageForDay', () => {
+    expect(calculateEnergyUsageForDay(monthProfile, 1, options)).toEqual(
+      400 - 360 + (1800 - 1500)
+    );
+  });
+
+  it('should carry the state over from before a shifted day 1', () => {
+    expect(
+      calculateEnergyUsageForDay(
+        { initial: 'off', events: [{ state: 'on', timestamp: 100 }] },
+        1,
+        options
+      )
+    ).toEqual(MAX_IN_PERIOD);
+  });
+
+  it('should match calculateEnergyUsageForWindow', () => {
+    expect(calculateEnergyUsageForDay(monthProfile, 2, options)).toEqual(
+      calculateEnergyUsageForWindow(monthProfile, 1800, 3240)
+    );
+  });
+
+  it('should shift the day for calculateEnergySavingsForDay', () => {
+    expect(calculateEnergySavingsForDay(monthProfile, 1, options)).toEqual(
+      1500 - 400
+    );
+  });
+
+  it('should shift the days for calculateEnergyUsageForRange', () => {
+    expect(calculateEnergyUsageForRange(monthProfile, 1, 2, options)).toEqual(
+      [1, 2].map((day) =>
+        calculateEnergyUsageForDay(monthProfile, day, options)
+      )
+    );
+  });
+
+  it('should shift the days for createUsageIndex', () => {
+    expect(createUsageIndex(monthProfile, options).usageForDay(2)).toEqual(
+      calculateEnergyUsageForDay(monthProfile, 2, options)
+    );
+  });
+
+  it('should throw an error on an offset of a whole day', () => {
+    expect(() =>
+      calculateEnergyUsageForDay(monthProfile, 1, {
+        dayStartOffset: MAX_IN_PERIOD,
+      })
+    ).toThrow(/invalid day start offset/);
+  });
+});
+
+describe('validateDayStartOffset', () => {
+  it('should not throw for the start of the day', () => {
+    expect(() => validateDayStartOffset(0)).not.toThrow();
+  });
+
+  it('should throw an error on a negative offset', () => {
+    expect(() => validateDayStartOffset(-60)).toThrow(
+      /invalid day start offset/
+    );
+  });
+
+  it('should throw an error on an offset that is not a number', () => {
+    expect(() => validateDayStartOffset('06:00')).toThrow(
+      /invalid day start offset/
+    );
+  });
+});
+
+describe('createUsageIndex', () => {
+  const monthProfile = {
+    initial: 'on',
+    events: [
+      { state: 'off', timestamp: 500 },
+      { state: 'on', timestamp: 900 },
+      { state: 'off', timestamp: 1400 },
+      { state: 'on', timestamp: 1700 },
+      { state: 'off', timestamp: 1900 },
+      { state: 'on', timestamp: 2599 },
+      { state: 'off', timestamp: 2900 },
+      { state: 'on', timestamp: 3000 },
+      { state: 'off', timestamp: 3500 },
+      { state: 'on', timestamp: 4000 },
+      { state: 'off', timestamp: 4420 },
+      { state: 'on', timestamp: 4500 },
+    ],
+  };
+  const usageIndex = createUsageIndex(monthProfile);
+
+  describe('should match calculateEnergyUsageForDay', () => {
+    [1, 2, 3, 4, 5, 30].forEach((day) => {
+      it(`should calculate day ${day} correctly`, () => {
+        expect(usageIndex.usageForDay(day)).toEqual(
+          calculateEnergyUsageForDay(monthProfile, day)
+        );
+      });
+    });
+  });
+
+  it('should calculate usage between two timestamps', () => {
+    expect(usageIndex.usageBetween(400, 1000)).toEqual(
+      500 - 400 + (1000 - 900)
+    );
+  });
+
+  it('should return zero for an empty time range', () => {
+    expect(usageIndex.usageBetween(1000, 1000)).toEqual(0);
+  });
+
+  it('should handle duplicate events', () => {
+    const index = createUsageIndex({
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 30 },
+        { state: 'on', timestamp: 80 },
+        { state: 'off', timestamp: 150 },
+        { state: 'off', timestamp: 200 },
+      ],
+    });
+    expect(index.usageForDay(1)).toEqual(150 - 30);
+  });
+
+  it('should treat auto-off as switched off', () => {
+    const index = createUsageIndex({
+      initial: 'on',
+      events: [{ state: 'auto-off', timestamp: 100 }],
+    });
+    expect(index.usageForDay(1)).toEqual(100);
+  });
+
+  it('should not reorder the profile events', () => {
+    const events = [
+      { state: 'off', timestamp: 300 },
+      { state: 'on', timestamp: 100 },
+    ];
+    createUsageIndex({ initial: 'off', events });
+    expect(events[0].timestamp).toBe(300);
+  });
+
+  it('should throw an error on an inverted time range', () => {
+    expect(() => usageIndex.usageBetween(200, 100)).toThrow(
+      /invalid time range/
+    );
+  });
+
+  it('should throw an error on a time range before the epoch', () => {
+    expect(() => usageIndex.usageBetween(-50, 10)).toThrow(
+      /invalid time range/
+    );
+  });
+
+  it('should throw an error on timestamps that are not numbers', () => {
+    expect(() => usageIndex.usageBetween('a', 'b')).toThrow(
+      /invalid time range/
+    );
+  });
+
+  it('should throw an error on an out of range day number', () => {
+    expect(() => usageIndex.usageForDay(366)).toThrow(/day out of range/);
+  });
+
+  it('should throw an error on an invalid event state', () => {
+    expect(() =>
+      createUsageIndex({
+        initial: 'on',
+        events: [{ state: 'error', timestamp: 100 }],
+      })
+    ).toThrow(/invalid state/);
+  });
+
+  it('should throw an error on a timestamp that is not a number', () => {
+    expect(() =>
+      createUsageIndex({
+        initial: 'off',
+        events: [{ state: 'on', timestamp: 'abc' }],
+      })
+    ).toThrow(expect.objectContaining({ code: 'INVALID_TIMESTAMP' }));
+  });
+
+  it('should throw an error on a negative timestamp', () => {
+    expect(() =>
+      createUsageIndex({
+        initial: 'on',
+        events: [{ state: 'off', timestamp: -10 }],
+      })
+    ).toThrow(expect.objectContaining({ code: 'INVALID_TIMESTAMP' }));
+  });
+});
+
+describe('getStateIntervals', () => {
+  it('should cover a single day with an interval for each state change', () => {
+    const profile = {
+      initial: 'on',
+      events: [
+        { state: 'off', timestamp: 100 },
+        { state: 'on', timestamp: 400 },
+      ],
+    };
+    expect(getStateIntervals(profile)).toEqual([
+      { state: 'on', start: 0, end: 100, duration: 100 },
+      { state: 'off', start: 100, end: 400, duration: 300 },
+      { state: 'on', start: 400, end: MAX_IN_PERIOD, duration: 1040 },
+    ]);
+  });
+
+  it('should return a single interval for a profile without events', () => {
+    expect(getStateIntervals({ initial: 'off', events: [] })).toEqual([
+      { state: 'off', start: 0, end: MAX_IN_PERIOD, duration: MAX_IN_PERIOD },
+    ]);
+  });
+
+  it('should merge duplicate events into the interval they repeat', () => {
+    const profile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 100 },
+        { state: 'on', timestamp: 200 },
+        { state: 'off', timestamp: 300 },
+        { state: 'off', timestamp: 500 },
+      ],
+    };
+    expect(getStateIntervals(profile).map(({ state }) => state)).toEqual([
+      'off',
+      'on',
+      'off',
+    ]);
+  });
+
+  it('should keep an off after an auto-off in the auto-off interval', () => {
+    const profile = {
+      initial: 'on',
+      events: [
+        { state: 'auto-off', timestamp: 100 },
+        { state: 'off', timestamp: 200 },
+        { state: 'on', timestamp: 300 },
+      ],
+    };
+    expect(getStateIntervals(profile)[1]).toEqual({
+      state: 'auto-off',
+      start: 100,
+      end: 300,
+      duration: 200,
+    });
+  });
+
+  it('should use the last of several events at the same time', () => {
+    const profile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 100 },
+        { state: 'off', timestamp: 100 },
+      ],
+    };
+    expect(getStateIntervals(profile)).toEqual([
+      { state: 'off', start: 0, end: MAX_IN_PERIOD, duration: MAX_IN_PERIOD },
+    ]);
+  });
+
+  it('should sort the events first', () => {
+    const profile = {
+      initial: 'off',
+      events: [
+        { state: 'off', timestamp: 300 },
+        { state: 'on', timestamp: 100 },
+      ],
+    };
+    expect(getStateIntervals(profile)[1]).toEqual({
+      state: 'on',
+      start: 100,
+      end: 300,
+      duration: 200,
+    });
+  });
+
+  it('should cover a month profile up to the end of the day of the last event', () => {
+    const profile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 1400 },
+        { state: 'auto-off', timestamp: 1500 },
+      ],
+    };
+    expect(getStateIntervals(profile).at(-1)).toEqual({
+      state: 'auto-off',
+      start: 1500,
+      end: 2 * MAX_IN_PERIOD,
+      duration: 2 * MAX_IN_PERIOD - 1500,
+    });
+  });
+
+  it('should cover the given number of days', () => {
+    const profile = { initial: 'on', events: [] };
+    expect(getStateIntervals(profile, { days: 3 })[0].end).toEqual(
+      3 * MAX_IN_PERIOD
+    );
+  });
+
+  it('should throw error for an event after the given number of days', () => {
+    const profile = {
+      initial: 'on',
+      events: [{ state: 'off', timestamp: 1500 }],
+    };
+    expect(() => getStateIntervals(profile, { days: 1 })).toThrow(
+      /events out of range/
+    );
+  });
+
+  it('should throw error for a negative timestamp', () => {
+    const profile = {
+      initial: 'on',
+      events: [{ state: 'off', timestamp: -1 }],
+    };
+    expect(() => getStateIntervals(profile)).toThrow(/events out of range/);
+  });
+
+  it('should throw error for an invalid state', () => {
+    const profile = {
+      initial: 'on',
+      events: [{ state: 'boil', timestamp: 1 }],
+    };
+    expect(() => getStateIntervals(profile)).toThrow(/invalid state/);
+  });
+});
+
+describe('getIntervalTotals', () => {
+  const profile = {
+    initial: 'auto-off',
+    events: [
+      { state: 'on', timestamp: 100 },
+      { state: 'on', timestamp: 150 },
+      { state: 'auto-off', timestamp: 400 },
+      { state: 'off', timestamp: 500 },
+      { state: 'on', timestamp: 900 },
+      { state: 'off', timestamp: 1000 },
+    ],
+  };
+
+  it('should match calculateEnergyUsageSimple', () => {
+    expect(getIntervalTotals(getStateIntervals(profile)).usage).toEqual(
+      calculateEnergyUsageSimple(profile)
+    );
+  });
+
+  it('should match calculateEnergySavings', () => {
+    expect(getIntervalTotals(getStateIntervals(profile)).savings).toEqual(
+      calculateEnergySavings(profile)
+    );
+  });
+
+  it('should match the daily calculators for a month profile', () => {
+    const monthProfile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 1400 },
+        { state: 'auto-off', timestamp: 1500 },
+        { state: 'on', timestamp: 3000 },
+      ],
+    };
+    expect(getIntervalTotals(getStateIntervals(monthProfile))).toEqual({
+      usage: calculateEnergyUsageForRange(monthProfile, 1, 3).reduce(
+        (total, usage) => total + usage
+      ),
+      savings: [1, 2, 3]
+        .map((day) => calculateEnergySavingsForDay(monthProfile, day))
+        .reduce((total, savings) => total + savings),
+    });
+  });
+});
+
+describe('calculateEnergyUsageSimpleInKwh', () => {
+  const usageProfile = {
+    initial: 'on',
+    events: [
+      { timestamp: 120, state: 'off' },
+      { timestamp: 1380, state: 'on' },
+    ],
+  };
+
+  it('should convert the minutes switched on into energy', () => {
+    expect(
+      calculateEnergyUsageSimpleInKwh(usageProfile, { ratedWatts: 2000 })
+    ).toEqual({
+      minutes: 120 + 60,
+      wh: 6000,
+      kwh: 6,
+      units: { minutes: 'min', wh: 'Wh', kwh: 'kWh' },
+    });
+  });
+
+  it('should include standby power while switched off', () => {
+    const result = calculateEnergyUsageSimpleInKwh(usageProfile, {
+      ratedWatts: 2000,
+      standbyWatts: { off: 3 },
+    });
+    expect(result.wh).toEqual(6000 + (1380 - 120) * (3 / 60));
+  });
+
+  it('should use the auto-off standby power while switched off automatically', () => {
+    const result = calculateEnergyUsageSimpleInKwh(
+      {
+        initial: 'on',
+        events: [
+          { timestamp: 120, state: 'auto-off' },
+          { timestamp: 1380, state: 'off' },
+        ],
+      },
+      { ratedWatts: 2000, standbyWatts: { off: 3, 'auto-off': 6 } }
+    );
+    expect(result.wh).toEqual(4000 + (1440 - 120) * (6 / 60));
+  });
+
+  it('should throw an error on an invalid appliance', () => {
+    expect(() => calculateEnergyUsageSimpleInKwh(usageProfile, {})).toThrow(
+      /appliance must have a valid ratedWatts/
+    );
+  });
+});
+
+describe('calculateEnergySavingsInKwh', () => {
+  const usageProfile = {
+    initial: 'on',
+    events: [
+      { timestamp: 1200, state: 'auto-off' },
+      { timestamp: 1320, state: 'on' },
+    ],
+  };
+
+  it('should convert the minutes saved into energy', () => {
+    const result = calculateEnergySavingsInKwh(usageProfile, {
+      ratedWatts: 600,
+    });
+    expect(result).toEqual({
+      minutes: 120,
+      wh: 1200,
+      kwh: 1.2,
+      units: { minutes: 'min', wh: 'Wh', kwh: 'kWh' },
+    });
+  });
+
+  it('should not count standby power drawn while switched off automatically as saved', () => {
+    const result = calculateEnergySavingsInKwh(usageProfile, {
+      ratedWatts: 600,
+      standbyWatts: { 'auto-off': 30 },
+    });
+    expect(result.wh).toEqual(120 * (570 / 60));
+  });
+});
+
+describe('calculateEnergyUsageForDayInKwh', () => {
+  const monthProfile = {
+    initial: 'off',
+    events: [
+      { timestamp: 1500, state: 'on' },
+      { timestamp: 1560, state: 'off' },
+    ],
+  };
+
+  it('should convert the minutes switched on for the day into energy', () => {
+    const result = calculateEnergyUsageForDayInKwh(monthProfile, 2, {
+      ratedWatts: 1500,
+    });
+    expect(result.minutes).toEqual(60);
+    expect(result.kwh).toEqual(1.5);
+  });
+
+  it('should throw an error on an out of range day number', () => {
+    expect(() =>
+      calculateEnergyUsageForDayInKwh(monthProfile, 0, { ratedWatts: 1500 })
+    ).toThrow(/day out of range/);
+  });
+});
+
+describe('validateAppliance', () => {
+  it('should accept a valid appliance', () => {
+    expect(() =>
+      validateAppliance({
+        ratedWatts: 1000,
+        standbyWatts: { off: 0.5, 'auto-off': 1 },
+      })
+    ).not.toThrow();
+  });
+
+  it('should throw error for missing appliance', () => {
+    expect(() => validateAppliance(undefined)).toThrow(
+      /appliance must be a valid object/
+    );
+  });
+
+  it('should throw error for a negative ratedWatts', () => {
+    expect(() => validateAppliance({ ratedWatts: -5 })).toThrow(
+      /appliance must have a valid ratedWatts/
+    );
+  });
+
+  it('should throw error for non-object standbyWatts', () => {
+    expect(() => validateAppliance({ ratedWatts: 5, standbyWatts: 2 })).toThrow(
+      /appliance.standbyWatts must be a valid object/
+    );
+  });
+
+  it('should throw error for an invalid standby power', () => {
+    expect(() =>
+      validateAppliance({ ratedWatts: 5, standbyWatts: { off: 'a' } })
+    ).toThrow(/invalid standby watts/);
+  });
+
+  it('should throw error for standby power of an unknown state', () => {
+    expect(() =>
+      validateAppliance({ ratedWatts: 5, standbyWatts: { sleeping: 1 } })
+    ).toThrow(/invalid standby watts state/);
+  });
+
+  it('should throw error for an invalid standby power of a custom state', () => {
+    registerState('standby');
+    try {
+      expect(() =>
+        validateAppliance({ ratedWatts: 5, standbyWatts: { standby: 'x' } })
+      ).toThrow(/invalid standby watts/);
+    } finally {
+      unregisterState('standby');
+    }
+  });
+});
+
+describe('inspectProfile', () => {
+  it('should return no issues for a valid profile', () => {
+    expect(
+      inspectProfile({
+        initial: 'off',
+        events: [
+          { state: 'on', timestamp: 10 },
+          { state: 'off', timestamp: 20 },
+        ],
+      })
+    ).toEqual([]);
+  });
+
+  it('should report an invalid profile', () => {
+    expect(inspectProfile(null)).toEqual([
+      {
+        code: 'INVALID_PROFILE',
+        severity: 'error',
+        message: 'profile must be a valid object',
+      },
+    ]);
+  });
+
+  it('should report every problem with the profile properties', () => {
+    expect(
+      inspectProfile({ initial: 'broken' }).map((issue) => issue.code)
+    ).toEqual(['INVALID_INITIAL_STATE', 'MISSING_EVENTS']);
+  });
+
+  it('should report every bad event with its index', () => {
+    const profile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 10 },
+        { state: 'broken', timestamp: 20 },
+        { state: 'off' },
+        { state: 'on', timestamp: '30' },
+        { state: 'off', timestamp: 1500 },
+        'on',
+      ],
+    };
+    expect(
+      inspectProfile(profile).map(({ code, index }) => ({ code, index }))
+    ).toEqual([
+      { code: 'INVALID_STATE', index: 1 },
+      { code: 'MISSING_TIMESTAMP', index: 2 },
+      { code: 'INVALID_TIMESTAMP', index: 3 },
+      { code: 'TIMESTAMP_OUT_OF_RANGE', index: 4 },
+      { code: 'INVALID_EVENT', index: 5 },
+    ]);
+  });
+
+  it('should report every problem with a single event', () => {
+    const profile = {
+      initial: 'off',
+      events: [{ state: 'broken', timestamp: -5 }],
+    };
+    expect(
+      inspectProfile(profile).map(({ code, index }) => ({ code, index }))
+    ).toEqual([
+      { code: 'INVALID_STATE', index: 0 },
+      { code: 'TIMESTAMP_OUT_OF_RANGE', index: 0 },
+    ]);
+  });
+
+  it('should report out of order events as warnings', () => {
+    const profile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 100 },
+        { state: 'off', timestamp: 50 },
+      ],
+    };
+    expect(inspectProfile(profile)).toEqual([
+      {
+        code: 'EVENT_OUT_OF_ORDER',
+        severity: 'warning',
+        message: 'event is earlier than the event before it',
+        index: 1,
+      },
+    ]);
+  });
+
+  it('should report redundant events as info', () => {
+    const profile = {
+      initial: 'on',
+      events: [{ state: 'on', timestamp: 100 }],
+    };
+    expect(inspectProfile(profile)[0]).toMatchObject({
+      code: 'REDUNDANT_EVENT',
+      severity: 'info',
+      index: 0,
+    });
+  });
+
+  it('should allow timestamps across several days', () => {
+    const profile = {
+      initial: 'on',
+      events: [{ state: 'off', timestamp: 4000 }],
+    };
+    expect(inspectProfile(profile, { days: 3 })).toEqual([]);
+  });
+});
+
+describe('repairProfile', () => {
+  const profile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 100 },
+      { state: 'broken', timestamp: 150 },
+      { state: 'off', timestamp: '200' },
+      { state: 'on', timestamp: 50 },
+      { state: 'off' },
+    ],
+  };
+
+  it('should drop invalid events and sort the rest', () => {
+    expect(repairProfile(profile).profile).toEqual({
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 50 },
+        { state: 'on', timestamp: 100 },
+        { state: 'off', timestamp: 200 },
+      ],
+    });
+  });
+
+  it('should report what it did to each event', () => {
+    expect(repairProfile(profile).repairs).toEqual([
+      { code: 'INVALID_STATE', action: 'dropped', index: 1 },
+      { code: 'INVALID_TIMESTAMP', action: 'repaired', index: 2 },
+      { code: 'EVENT_OUT_OF_ORDER', action: 'reordered', index: 3 },
+      { code: 'MISSING_TIMESTAMP', action: 'dropped', index: 4 },
+    ]);
+  });
+
+  it('should drop an event with an invalid state without repairing its timestamp', () => {
+    expect(
+      repairProfile({
+        initial: 'off',
+        events: [{ state: 'broken', timestamp: '200' }],
+      }).repairs
+    ).toEqual([{ code: 'INVALID_STATE', action: 'dropped', index: 0 }]);
+  });
+
+  it('should not modify the original profile', () => {
+    repairProfile(profile);
+    expect(profile.events[2].timestamp).toBe('200');
+  });
+
+  it('should throw error for an invalid initial state', () => {
+    expect(() => repairProfile({ initial: 'broken', events: [] })).toThrow(
+      /invalid initial state/
+    );
+  });
+});
+
+describe('lenient', () => {
+  it('should calculate with the repaired profile', () => {
+    const profile = {
+      initial: 'on',
+      events: [
+        { state: 'off', timestamp: 120 },
+        { state: 'on', timestamp: 5000 },
+      ],
+    };
+    expect(lenient(calculateEnergyUsageSimple)(profile)).toEqual({
+      result: 120,
+      repairs: [
+        { code: 'TIMESTAMP_OUT_OF_RANGE', action: 'dropped', index: 1 },
+      ],
+    });
+  });
+
+  it('should pass on the other arguments', () => {
+    const monthProfile = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 1500 },
+        { state: 'broken', timestamp: 1600 },
+      ],
+    };
+    expect(
+      lenient(calculateEnergyUsageForDay, { days: 31 })(monthProfile, 2).result
+    ).toEqual(1440 - 60);
+  });
+});
+
+describe('canonicaliseProfile', () => {
+  const profile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 100 },
+      { state: 'on', timestamp: 200 },
+      { state: 'auto-off', timestamp: 300 },
+      { state: 'off', timestamp: 400 },
+      { state: 'on', timestamp: 500 },
+      { state: 'off', timestamp: 600 },
+      { state: 'off', timestamp: 700 },
+    ],
+  };
+
+  it('should keep only the events that change the state', () => {
+    expect(canonicaliseProfile(profile).profile).toEqual({
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 100 },
+        { state: 'auto-off', timestamp: 300 },
+        { state: 'on', timestamp: 500 },
+        { state: 'off', timestamp: 600 },
+      ],
+    });
+  });
+
+  it('should report how many events were removed', () => {
+    expect(canonicaliseProfile(profile).removed).toBe(3);
+  });
+
+  it('should give the same usage', () => {
+    expect(
+      calculateEnergyUsageSimple(canonicaliseProfile(profile).profile)
+    ).toBe(calculateEnergyUsageSimple(profile));
+  });
+
+  it('should give the same savings', () => {
+    expect(calculateEnergySavings(canonicaliseProfile(profile).profile)).toBe(
+      calculateEnergySavings(profile)
+    );
+  });
+
+  it('should collapse events at the same timestamp into the last change', () => {
+    expect(
+      canonicaliseProfile({
+        initial: 'off',
+        events: [
+          { state: 'on', timestamp: 100 },
+          { state: 'auto-off', timestamp: 100 },
+        ],
+      }).profile.events
+    ).toEqual([{ state: 'auto-off', timestamp: 100 }]);
+  });
+
+  it('should remove events at the same timestamp that cancel out', () => {
+    expect(
+      canonicaliseProfile({
+        initial: 'off',
+        events: [
+          { state: 'on', timestamp: 100 },
+          { state: 'off', timestamp: 100 },
+        ],
+      }).profile.events
+    ).toEqual([]);
+  });
 
-    expect(() => calculateEnergyUsageSimple(usageProfile)).toThrow(
-      /invalid initial state/
-    );
+  it('should keep an on that lets a manual off replace an auto-off', () => {
+    expect(
+      canonicaliseProfile({
+        initial: 'auto-off',
+        events: [
+          { state: 'on', timestamp: 100 },
+          { state: 'off', timestamp: 100 },
+        ],
+      }).profile.events
+    ).toEqual([
+      { state: 'on', timestamp: 100 },
+      { state: 'off', timestamp: 100 },
+    ]);
   });
-});
 
-// Part 2
+  it('should sort the events', () => {
+    expect(
+      canonicaliseProfile({
+        initial: 'off',
+        events: [
+          { state: 'off', timestamp: 1600 },
+          { state: 'on', timestamp: 100 },
+        ],
+      }).profile.events
+    ).toEqual([
+      { state: 'on', timestamp: 100 },
+      { state: 'off', timestamp: 1600 },
+    ]);
+  });
 
-describe('calculateEnergySavings', () => {
-  it('should return zero for always on', () => {
-    const usageProfile = {
-      initial: 'on',
-      events: [],
-    };
-    expect(calculateEnergySavings(usageProfile)).toEqual(0);
+  it('should not modify the original profile', () => {
+    const before = JSON.stringify(profile);
+    canonicaliseProfile(profile);
+    expect(JSON.stringify(profile)).toBe(before);
   });
 
-  it('should calculate zero for always switch off manually', () => {
-    const usageProfile = {
-      initial: 'off',
-      events: [],
-    };
-    expect(calculateEnergySavings(usageProfile)).toEqual(0);
+  it('should throw error for an invalid timestamp', () => {
+    expect(() =>
+      canonicaliseProfile({
+        initial: 'off',
+        events: [{ state: 'on', timestamp: '100' }],
+      })
+    ).toThrow(/invalid timestamp/);
   });
+});
 
-  it('should calculate max period for always switched off automatically', () => {
-    const usageProfile = {
-      initial: 'auto-off',
-      events: [],
-    };
-    expect(calculateEnergySavings(usageProfile)).toEqual(MAX_IN_PERIOD);
+describe('registerState', () => {
+  afterEach(() => {
+    unregisterState('standby');
+    unregisterState('boost');
   });
 
-  it('should calculate energy savings correctly on sensible data', () => {
-    const usageProfile = {
-      initial: 'off',
-      events: [
-        { state: 'on', timestamp: 100 },
-        { state: 'off', timestamp: 150 },
-        { state: 'on', timestamp: 200 },
-        { state: 'auto-off', timestamp: 500 },
-        { state: 'on', timestamp: 933 },
-        { state: 'off', timestamp: 1010 },
-        { state: 'on', timestamp: 1250 },
-        { state: 'auto-off', timestamp: 1320 },
-      ],
-    };
-    expect(calculateEnergySavings(usageProfile)).toEqual(
-      933 - 500 + (MAX_IN_PERIOD - 1320)
-    );
+  it('should make a new state valid in profiles', () => {
+    registerState('standby');
+    expect(getRegisteredStates()).toEqual(['on', 'off', 'auto-off', 'standby']);
   });
 
-  it('should calculate energy savings correctly on silly data (example 1)', () => {
-    const usageProfile = {
+  it('should count a state that draws power as usage', () => {
+    registerState('boost', { drawsPower: true });
+    const profile = {
       initial: 'off',
       events: [
         { state: 'on', timestamp: 100 },
-        { state: 'off', timestamp: 150 },
-        { state: 'on', timestamp: 200 },
-        { state: 'auto-off', timestamp: 500 },
-        { state: 'off', timestamp: 800 },
-        { state: 'on', timestamp: 933 },
-        { state: 'off', timestamp: 1010 },
-        { state: 'on', timestamp: 1250 },
-        { state: 'on', timestamp: 1299 },
-        { state: 'auto-off', timestamp: 1320 },
+        { state: 'boost', timestamp: 200 },
+        { state: 'off', timestamp: 500 },
       ],
     };
-    expect(calculateEnergySavings(usageProfile)).toEqual(
-      933 - 500 + (MAX_IN_PERIOD - 1320)
-    );
+    expect(calculateEnergyUsageSimple(profile)).toEqual(400);
   });
 
-  it('should calculate energy savings correctly on silly data (example 2)', () => {
-    const usageProfile = {
-      initial: 'off',
+  it('should count a savings state in calculateEnergySavings', () => {
+    registerState('standby', { countsAsSavings: true });
+    const profile = {
+      initial: 'on',
       events: [
+        { state: 'standby', timestamp: 100 },
         { state: 'on', timestamp: 250 },
-        { state: 'on', timestamp: 299 },
-        { state: 'auto-off', timestamp: 320 },
-        { state: 'off', timestamp: 500 },
       ],
     };
-    expect(calculateEnergySavings(usageProfile)).toEqual(MAX_IN_PERIOD - 320);
+    expect(calculateEnergySavings(profile)).toEqual(150);
   });
 
-  it('should handle invalid states', () => {
-    const usageProfile = {
-      initial: 'off',
+  it('should ignore events for the states a state ignores', () => {
+    registerState('standby', { ignores: ['off'] });
+    const profile = {
+      initial: 'standby',
       events: [
-        { state: 'on', timestamp: 250 },
-        { state: 'on', timestamp: 299 },
-        { state: 'error', timestamp: 320 },
-        { state: 'auto-off', timestamp: 500 },
+        { state: 'off', timestamp: 100 },
+        { state: 'on', timestamp: 300 },
       ],
     };
-    expect(() => calculateEnergySavings(usageProfile)).toThrow(/invalid state/);
+    expect(getStateIntervals(profile)[0]).toEqual({
+      state: 'standby',
+      start: 0,
+      end: 300,
+      duration: 300,
+    });
   });
-});
 
-// Part 3
-describe('calculateEnergyUsageForDay', () => {
-  const monthProfile = {
-    initial: 'on',
-    events: [
-      { state: 'off', timestamp: 500 },
-      { state: 'on', timestamp: 900 },
-      { state: 'off', timestamp: 1400 },
-      { state: 'on', timestamp: 1700 },
-      { state: 'off', timestamp: 1900 },
-      { state: 'on', timestamp: 2599 },
-      { state: 'off', timestamp: 2900 },
-      { state: 'on', timestamp: 3000 },
-      { state: 'off', timestamp: 3500 },
-      { state: 'on', timestamp: 4000 },
-      { state: 'off', timestamp: 4420 },
-      { state: 'on', timestamp: 4500 },
-    ],
-  };
+  it('should throw error for a state that is already registered', () => {
+    expect(() => registerState('on')).toThrow(/state already registered/);
+  });
 
-  describe('should calculate the energy usage for an empty set of events correctly', () => {
-    it('should calculate the energy usage for an empty set when initial state is off', () => {
-      expect(
-        calculateEnergyUsageForDay({ initial: 'off', events: [] }, 10)
-      ).toEqual(0);
-    });
-    it('should calculate the energy usage for an empty set when initial state is on', () => {
-      expect(
-        calculateEnergyUsageForDay({ initial: 'on', events: [] }, 5)
-      ).toEqual(1440);
-    });
+  it('should throw error for a state that both draws power and counts as savings', () => {
+    expect(() =>
+      registerState('boost', { drawsPower: true, countsAsSavings: true })
+    ).toThrow(/a state cannot both draw power and count as savings/);
   });
 
-  it('should calculate day 1 correctly', () => {
-    expect(calculateEnergyUsageForDay(monthProfile, 1)).toEqual(
-      500 - 0 + (1400 - 900)
+  it('should throw error for invalid ignored states', () => {
+    expect(() => registerState('standby', { ignores: 'off' })).toThrow(
+      /invalid ignored states/
     );
   });
 
-  it('should calculate day 2 correctly', () => {
-    expect(calculateEnergyUsageForDay(monthProfile, 2)).toEqual(
-      1900 - 1700 + (2880 - 2599)
-    );
+  it('should throw error for an invalid name', () => {
+    expect(() => registerState('')).toThrow(/invalid state name/);
   });
+});
 
-  it('should calculate day 3 correctly', () => {
-    expect(calculateEnergyUsageForDay(monthProfile, 3)).toEqual(
-      2900 - 2880 + (3500 - 3000) + (4320 - 4000)
-    );
-    // 20 - 0 + (620 - 120) + (1440 - 1120)
+describe('unregisterState', () => {
+  it('should remove a registered state', () => {
+    registerState('standby');
+    unregisterState('standby');
+    expect(() => validateState('standby')).toThrow(/invalid state/);
   });
 
-  it('should calculate day 4 correctly', () => {
-    expect(calculateEnergyUsageForDay(monthProfile, 4)).toEqual(
-      4420 - 4320 + (5760 - 4500)
+  it('should throw error for a built-in state', () => {
+    expect(() => unregisterState('auto-off')).toThrow(
+      /cannot unregister a built-in state/
     );
-    // 100 - 0 + (1440 - 180)
   });
+});
 
-  it('should calculate day 5 correctly', () => {
-    expect(calculateEnergyUsageForDay(monthProfile, 5)).toEqual(MAX_IN_PERIOD);
+describe('getStateDefinition', () => {
+  it('should define auto-off as savings that only switching on ends', () => {
+    expect(getStateDefinition('auto-off')).toEqual({
+      name: 'auto-off',
+      drawsPower: false,
+      countsAsSavings: true,
+      ignores: ['off'],
+    });
   });
 
-  describe('should calculate day 2 correctly when the first event starts on day 4', () => {
-    const monthProfile1 = {
+  it('should throw error for an unknown state', () => {
+    expect(() => getStateDefinition('eco')).toThrow(/invalid state/);
+  });
+});
+
+describe('getNextState', () => {
+  it('should change to the event state', () => {
+    expect(getNextState('on', 'auto-off')).toBe('auto-off');
+  });
+
+  it('should keep auto-off after a manual off', () => {
+    expect(getNextState('auto-off', 'off')).toBe('auto-off');
+  });
+
+  describe('should change from auto-off to a registered state', () => {
+    const profile = {
       initial: 'off',
-      events: [{ timestamp: 4500, state: 'on' }],
+      events: [
+        { state: 'auto-off', timestamp: 100 },
+        { state: 'eco', timestamp: 200 },
+        { state: 'off', timestamp: 300 },
+      ],
     };
 
-    it('day 2 should be 0', () => {
-      expect(calculateEnergyUsageForDay(monthProfile1, 2)).toEqual(0);
-    });
+    beforeEach(() => registerState('eco', { drawsPower: true }));
+    afterEach(() => unregisterState('eco'));
 
-    it('day 4 should be 1260', () => {
-      expect(calculateEnergyUsageForDay(monthProfile1, 4)).toEqual(1260);
+    it('should count the custom state as usage', () => {
+      expect(calculateEnergyUsageSimple(profile)).toBe(300 - 200);
     });
 
-    it('day 15 should be MAX', () => {
-      expect(calculateEnergyUsageForDay(monthProfile1, 15)).toEqual(
-        MAX_IN_PERIOD
-      );
+    it('should end the auto-off episode at the custom state', () => {
+      expect(getAutoOffEpisodes(profile)).toEqual([
+        {
+          start: 100,
+          end: 200,
+          minutes: 100,
+          endedBy: 'switched-on',
+          redundantOffs: [],
+        },
+      ]);
     });
+  });
+});
 
-    it('day 2 should be MAX when initial state is on', () => {
-      const monthProfileIntialOn = {
-        initial: 'on',
-        events: [{ timestamp: 4500, state: 'off' }],
-      };
-      expect(calculateEnergyUsageForDay(monthProfileIntialOn, 2)).toEqual(
-        MAX_IN_PERIOD
-      );
-    });
+describe('auto-off usage', () => {
+  it('should not count an auto-off initial state as usage without events', () => {
+    expect(
+      calculateEnergyUsageSimple({ initial: 'auto-off', events: [] })
+    ).toBe(0);
   });
 
-  describe('should throw an error on an out of range day number', () => {
-    // The regular expression matches the message of the Error(), which is
-    // the first parameter to the Error class constructor.
-    it('should throw an error on an out of range day number -5', () => {
-      expect(() => calculateEnergyUsageForDay(monthProfile, -5)).toThrow(
-        /day out of range/
-      );
-    });
-    it('should throw an error on an out of range day number 0', () => {
-      expect(() => calculateEnergyUsageForDay(monthProfile, 0)).toThrow(
-        /day out of range/
-      );
-    });
-    it('should throw an error on an out of range day number 366', () => {
-      expect(() => calculateEnergyUsageForDay(monthProfile, 366)).toThrow(
-        /day out of range/
-      );
-    });
+  it('should not count an auto-off initial state as usage with events', () => {
+    expect(
+      calculateEnergyUsageSimple({
+        initial: 'auto-off',
+        events: [{ state: 'off', timestamp: 100 }],
+      })
+    ).toBe(0);
   });
 
-  it('should throw an error on a non-integer day number', () => {
-    expect(() => calculateEnergyUsageForDay(3.76)).toThrow(
-      /must be an integer/
-    );
+  it('should not count an auto-off initial state as usage for a day of a month profile', () => {
+    expect(
+      calculateEnergyUsageForDay({ initial: 'auto-off', events: [] }, 3)
+    ).toBe(0);
+  });
+
+  it('should carry auto-off over to a day after the last event', () => {
+    expect(
+      calculateEnergyUsageForDay(
+        {
+          initial: 'on',
+          events: [
+            { state: 'auto-off', timestamp: 100 },
+            { state: 'off', timestamp: 200 },
+          ],
+        },
+        3
+      )
+    ).toBe(0);
   });
 });
 
@@ -513,8 +1903,8 @@ describe('getInitialStateResult', () => {
     expect(getInitialStateResult('on')).toBe(MAX_IN_PERIOD);
   });
 
-  it('should return MAX_IN_PERIOD for auto-off state', () => {
-    expect(getInitialStateResult('auto-off')).toBe(MAX_IN_PERIOD);
+  it('should return 0 for auto-off state, as it does not draw power', () => {
+    expect(getInitialStateResult('auto-off')).toBe(0);
   });
 
   it('should throw error for invalid state', () => {
@@ -560,6 +1950,85 @@ describe('sortEventByTimeStamp', () => {
     const events = [{ timestamp: 100, state: 'on' }];
     expect(sortEventByTimeStamp(events)).toEqual(events);
   });
+
+  it('should not modify the original array', () => {
+    const events = [
+      { timestamp: 300, state: 'on' },
+      { timestamp: 100, state: 'off' },
+    ];
+    sortEventByTimeStamp(events);
+    expect(events).toEqual([
+      { timestamp: 300, state: 'on' },
+      { timestamp: 100, state: 'off' },
+    ]);
+  });
+
+  it('should return a new array', () => {
+    const events = [{ timestamp: 100, state: 'on' }];
+    expect(sortEventByTimeStamp(events)).not.toBe(events);
+  });
+
+  it('should order events with the same timestamp by state', () => {
+    const events = [
+      { timestamp: 200, state: 'on' },
+      { timestamp: 100, state: 'auto-off' },
+      { timestamp: 100, state: 'off' },
+      { timestamp: 100, state: 'on' },
+    ];
+    expect(sortEventByTimeStamp(events).map((event) => event.state)).toEqual([
+      'on',
+      'off',
+      'auto-off',
+      'on',
+    ]);
+  });
+
+  it('should put events with a sequence number before events without one', () => {
+    const events = [
+      { timestamp: 100, state: 'on' },
+      { timestamp: 100, state: 'off', sequence: 1 },
+    ];
+    expect(sortEventByTimeStamp(events).map((event) => event.state)).toEqual([
+      'off',
+      'on',
+    ]);
+  });
+
+  it('should give the same order for every order of the input', () => {
+    const events = [
+      { timestamp: 5, state: 'on', sequence: 2 },
+      { timestamp: 5, state: 'off' },
+      { timestamp: 5, state: 'auto-off', sequence: 1 },
+      { timestamp: 5, state: 'on' },
+    ];
+    const permutations = (items) =>
+      items.length <= 1
+        ? [items]
+        : items.flatMap((item, i) =>
+            permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(
+              (rest) => [item, ...rest]
+            )
+          );
+    const orders = new Set(
+      permutations(events).map((input) =>
+        JSON.stringify(sortEventByTimeStamp(input))
+      )
+    );
+    expect([...orders]).toEqual([
+      JSON.stringify([events[2], events[0], events[3], events[1]]),
+    ]);
+  });
+
+  it('should order events with the same timestamp by sequence number', () => {
+    const events = [
+      { timestamp: 100, state: 'off', sequence: 2 },
+      { timestamp: 100, state: 'on', sequence: 1 },
+    ];
+    expect(sortEventByTimeStamp(events).map((event) => event.state)).toEqual([
+      'on',
+      'off',
+    ]);
+  });
 });
 
 describe('getDayInitialState', () => {
@@ -594,6 +2063,40 @@ describe('getDayInitialState', () => {
   });
 });
 
+describe('getCarriedOverState', () => {
+  const monthProfile = {
+    initial: 'on',
+    events: [
+      { state: 'auto-off', timestamp: 1000 },
+      { state: 'off', timestamp: 1200 },
+      { state: 'on', timestamp: 3000 },
+      { state: 'off', timestamp: 3100 },
+    ],
+  };
+
+  it('should return month initial state when no previous events', () => {
+    expect(getCarriedOverState(monthProfile, 0, monthProfile.events)).toBe(
+      'on'
+    );
+  });
+
+  it('should keep auto-off when followed by a redundant off event', () => {
+    expect(getCarriedOverState(monthProfile, 2, monthProfile.events)).toBe(
+      'auto-off'
+    );
+  });
+
+  it('should return off after a manual switch off', () => {
+    expect(getCarriedOverState(monthProfile, 4, monthProfile.events)).toBe(
+      'off'
+    );
+  });
+
+  it('should still be exported under its earlier name', () => {
+    expect(getDaySavingsInitialState).toBe(getCarriedOverState);
+  });
+});
+
 describe('normaliseEventsForDay', () => {
   const events = [
     { state: 'on', timestamp: 720 }, // Day 1, middle
@@ -678,6 +2181,24 @@ describe('validateDay', () => {
   });
 });
 
+describe('validateDayRange', () => {
+  it('should accept a valid range', () => {
+    expect(() => validateDayRange(1, 30)).not.toThrow();
+  });
+
+  it('should accept a single day range', () => {
+    expect(() => validateDayRange(4, 4)).not.toThrow();
+  });
+
+  it('should throw error for an inverted range', () => {
+    expect(() => validateDayRange(30, 1)).toThrow(/invalid day range/);
+  });
+
+  it('should throw error for an out of range day', () => {
+    expect(() => validateDayRange(1, 400)).toThrow(/day out of range/);
+  });
+});
+
 describe('validateState', () => {
   describe('should accept valid states', () => {
     it('should accept on state', () => {
@@ -789,6 +2310,11 @@ describe('calculateEpochDayBoundaries', () => {
       const result = calculateEpochDayBoundaries(365);
       expect(result).toEqual({ epochDayStart: 524160, epochDayEnd: 525600 });
     });
+
+    it('should shift the boundaries by the day start offset', () => {
+      const result = calculateEpochDayBoundaries(2, 360);
+      expect(result).toEqual({ epochDayStart: 1800, epochDayEnd: 3240 });
+    });
   });
 });
 
@@ -804,9 +2330,9 @@ describe('handleEmptyEvents', () => {
       expect(result).toBe(MAX_IN_PERIOD);
     });
 
-    it('should return MAX_IN_PERIOD for auto-off state', () => {
+    it('should return 0 for auto-off state', () => {
       const result = handleEmptyEvents('auto-off');
-      expect(result).toBe(MAX_IN_PERIOD);
+      expect(result).toBe(0);
     });
   });
 
@@ -0,0 +1,282 @@
+const {
+  validateProfile,
+  validateState,
+  validateEpochTimestamp,
+  sortEventByTimeStamp,
+  findLastPositionAtOrBefore,
+} = require('./index');
+const { ConfigurationError, withErrorOwner, ERROR_CODE } = require('./errors');
+
+/**
+ * MERGING EVENT SOURCES
+ *
+ * An appliance can report through more than one source, such as the smart plug and the
+ * energy-saving device, and the streams often have near-duplicate or contradictory events a
+ * minute apart. `mergeProfiles` combines the profiles of each source into one profile, trusting
+ * the higher-priority source whenever two sources report within the tolerance of each other.
+ *
+ * The structure for `profiles` is a map of source names to usage profiles (as an example):
+ * ```
+ * {
+ *    device: { initial: 'off', events: [{ state: 'auto-off', timestamp: 601 }] },
+ *    plug: { initial: 'off', events: [{ state: 'off', timestamp: 600 }] },
+ * }
+ * ```
+ * Every event that is dropped is recorded in the conflict log along with the event that was kept
+ * instead (as an example):
+ * ```
+ * {
+ *    reason: 'contradiction',
+ *    source: 'plug',
+ *    event: { state: 'off', timestamp: 600 },
+ *    keptSource: 'device',
+ *    keptEvent: { state: 'auto-off', timestamp: 601 },
+ * }
+ * ```
+ */
+
+const MERGE_CONFLICT = {
+  DUPLICATE: 'duplicate',
+  CONTRADICTION: 'contradiction',
+  INITIAL_STATE: 'initial-state',
+};
+
+const DEFAULT_TOLERANCE_MINUTES = 1;
+
+/**
+ * Runs a validation for a single source, naming the source in any error it throws
+ *
+ * @param {string} source The name of the source
+ * @param {Function} validate The validation to run
+ * @throws {Error} When the validation fails, with the source prefixed and set as its `source`
+ */
+const forSource = (source, validate) =>
+  withErrorOwner(
+    { kind: 'source', property: 'source', name: source },
+    validate
+  );
+
+/**
+ * Validates the profiles of every source
+ *
+ * @param {Object} profiles Map of source names to usage profiles
+ * @throws {EnergyCalculationError} When there are no sources, or a profile or event is invalid
+ */
+const validateSources = (profiles) => {
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new ConfigurationError(
+      'profiles must be a map of sources to profiles',
+      ERROR_CODE.INVALID_SOURCE,
+      { value: profiles }
+    );
+  }
+
+  const sources = Object.keys(profiles);
+  if (sources.length === 0) {
+    throw new ConfigurationError(
+      'profiles must have at least one source',
+      ERROR_CODE.INVALID_SOURCE
+    );
+  }
+
+  sources.forEach((source) =>
+    forSource(source, () => {
+      validateProfile(profiles[source]);
+      profiles[source].events.forEach((event, index) => {
+        validateState(event.state, index);
+        validateEpochTimestamp(event.timestamp, index);
+      });
+    })
+  );
+};
+
+/**
+ * Orders the sources from highest to lowest priority
+ *
+ * @param {Array<string>} sources The names of every source
+ * @param {Array<string>} priority The names of the sources that come first, highest priority first
+ * @returns {Array<string>} Every source, with those not in `priority` after it in their original order
+ * @throws {ConfigurationError} When the priority is not an array, or names an unknown source twice or at all
+ */
+const orderSources = (sources, priority) => {
+  if (!Array.isArray(priority)) {
+    throw new ConfigurationError(
+      'priority must be an array of sources',
+      ERROR_CODE.INVALID_SOURCE,
+      { value: priority }
+    );
+  }
+
+  priority.forEach((source, index) => {
+    if (!sources.includes(source) || priority.indexOf(source) !== index) {
+      throw new ConfigurationError(
+        'priority must name each source at most once',
+        ERROR_CODE.INVALID_SOURCE,
+        { value: source, index, allowed: sources }
+      );
+    }
+  });
+
+  return [
+    ...priority,
+    ...sources.filter((source) => !priority.includes(source)),
+  ];
+};
+
+/**
+ * Validates the deduplication tolerance
+ * @param {number} toleranceMinutes The tolerance in minutes
+ * @throws {ConfigurationError} When the tolerance is not a non-negative number
+ */
+const validateTolerance = (toleranceMinutes) => {
+  if (
+    typeof toleranceMinutes !== 'number' ||
+    !Number.isFinite(toleranceMinutes) ||
+    toleranceMinutes < 0
+  ) {
+    throw new ConfigurationError(
+      'invalid toleranceMinutes',
+      ERROR_CODE.INVALID_THRESHOLD,
+      { value: toleranceMinutes, range: { min: 0, max: Infinity } }
+    );
+  }
+};
+
+/**
+ * Finds the higher-priority event that an event should be dropped in favour of
+ *
+ * An event within the tolerance with the same state makes a duplicate, and otherwise one with a
+ * different state makes a contradiction. The closest event is taken, the earliest on a tie.
+ * The kept events are sorted, so only those within the tolerance are looked at.
+ *
+ * @param {Object} event The event, along with its source
+ * @param {Array<Object>} keptEvents The events kept from higher-priority sources sorted by time, along with their sources
+ * @param {Array<number>} keptTimestamps The timestamps of the kept events
+ * @param {number} toleranceMinutes The furthest apart two events can be and still conflict
+ * @returns {Object|undefined} Object containing the reason and the kept event, or undefined when the event is kept
+ */
+const findConflict = (event, keptEvents, keptTimestamps, toleranceMinutes) => {
+  const last = findLastPositionAtOrBefore(
+    keptTimestamps,
+    event.timestamp + toleranceMinutes
+  );
+  let first = last + 1;
+  while (
+    first > 0 &&
+    keptTimestamps[first - 1] >= event.timestamp - toleranceMinutes
+  ) {
+    first--;
+  }
+
+  const nearby = keptEvents
+    .slice(first, last + 1)
+    .sort(
+      (a, b) =>
+        Math.abs(a.timestamp - event.timestamp) -
+          Math.abs(b.timestamp - event.timestamp) || a.timestamp - b.timestamp
+    );
+
+  const duplicate = nearby.find((kept) => kept.state === event.state);
+  if (duplicate) {
+    return { reason: MERGE_CONFLICT.DUPLICATE, kept: duplicate };
+  }
+  if (nearby.length > 0) {
+    return { reason: MERGE_CONFLICT.CONTRADICTION, kept: nearby[0] };
+  }
+  return undefined;
+};
+
+/**
+ * Merges the usage profiles that several sources reported for one appliance
+ *
+ * The sources are merged from the highest priority down. An event is dropped when an event
+ * already kept from a higher-priority source is within `toleranceMinutes` of it, so the
+ * higher-priority source is trusted for that moment. Events from the same source are never
+ * dropped in favour of each other. The initial state is the initial state of the highest-priority
+ * source.
+ *
+ * The merged events are sorted by timestamp and each names its `source`. Events from two sources
+ * never share a timestamp, as the lower-priority one is dropped, so the sequence numbers of each
+ * source are kept to order its events at the same timestamp as `sortEventByTimeStamp` does.
+ *
+ * @param {Object} profiles Map of source names to usage profiles
+ * @param {Object} [options]
+ * @param {Array<string>} [options.priority] The sources from highest to lowest priority, by default in the order of `profiles`
+ * @param {number} [options.toleranceMinutes=1] The furthest apart events from two sources can be and still conflict
+ * @returns {Object} Object containing the merged profile and the conflicts, a log of the dropped events in the order the sources were merged
+ * @throws {Error} When a profile, the priority or the tolerance is invalid
+ */
+const mergeProfiles = (
+  profiles,
+  { priority = [], toleranceMinutes = DEFAULT_TOLERANCE_MINUTES } = {}
+) => {
+  validateSources(profiles);
+  const sources = orderSources(Object.keys(profiles), priority);
+  validateTolerance(toleranceMinutes);
+
+  const [primarySource] = sources;
+  const initial = profiles[primarySource].initial;
+  const conflicts = [];
+  const keptEvents = [];
+
+  sources.forEach((source) => {
+    const { initial: sourceInitial, events } = profiles[source];
+    if (sourceInitial !== initial) {
+      conflicts.push({
+        reason: MERGE_CONFLICT.INITIAL_STATE,
+        source,
+        event: { state: sourceInitial },
+        keptSource: primarySource,
+        keptEvent: { state: initial },
+      });
+    }
+
+    // Events of this source are only checked against the sources merged before it.
+    const higherPriorityEvents = sortEventByTimeStamp(keptEvents);
+    const higherPriorityTimestamps = higherPriorityEvents.map(
+      (kept) => kept.timestamp
+    );
+    sortEventByTimeStamp(events).forEach((sourceEvent) => {
+      const event = {
+        state: sourceEvent.state,
+        timestamp: sourceEvent.timestamp,
+        ...(sourceEvent.sequence !== undefined && {
+          sequence: sourceEvent.sequence,
+        }),
+        source,
+      };
+      const conflict = findConflict(
+        event,
+        higherPriorityEvents,
+        higherPriorityTimestamps,
+        toleranceMinutes
+      );
+
+      if (conflict) {
+        conflicts.push({
+          reason: conflict.reason,
+          source,
+          event: { state: event.state, timestamp: event.timestamp },
+          keptSource: conflict.kept.source,
+          keptEvent: {
+            state: conflict.kept.state,
+            timestamp: conflict.kept.timestamp,
+          },
+        });
+      } else {
+        keptEvents.push(event);
+      }
+    });
+  });
+
+  return {
+    profile: { initial, events: sortEventByTimeStamp(keptEvents) },
+    conflicts,
+  };
+};
+
+module.exports = {
+  mergeProfiles,
+  MERGE_CONFLICT,
+  DEFAULT_TOLERANCE_MINUTES,
+};
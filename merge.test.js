@@ -0,0 +1,234 @@
+const { mergeProfiles, MERGE_CONFLICT } = require('./merge');
+const {
+  validateProfile,
+  calculateEnergyUsageSimple,
+  calculateEnergySavings,
+  calculateEnergyUsageForDay,
+  MAX_IN_PERIOD,
+} = require('./index');
+const { ERROR_CODE } = require('./errors');
+
+describe('mergeProfiles', () => {
+  const profiles = {
+    device: {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 300 },
+        { state: 'auto-off', timestamp: 601 },
+      ],
+    },
+    plug: {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 301 },
+        { state: 'off', timestamp: 600 },
+        { state: 'on', timestamp: 900 },
+        { state: 'off', timestamp: 1000 },
+      ],
+    },
+  };
+
+  it('should merge the events of every source', () => {
+    expect(mergeProfiles(profiles).profile).toEqual({
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: 300, source: 'device' },
+        { state: 'auto-off', timestamp: 601, source: 'device' },
+        { state: 'on', timestamp: 900, source: 'plug' },
+        { state: 'off', timestamp: 1000, source: 'plug' },
+      ],
+    });
+  });
+
+  it('should return a valid profile', () => {
+    expect(() =>
+      validateProfile(mergeProfiles(profiles).profile)
+    ).not.toThrow();
+  });
+
+  it('should log a near duplicate', () => {
+    expect(mergeProfiles(profiles).conflicts[0]).toEqual({
+      reason: MERGE_CONFLICT.DUPLICATE,
+      source: 'plug',
+      event: { state: 'on', timestamp: 301 },
+      keptSource: 'device',
+      keptEvent: { state: 'on', timestamp: 300 },
+    });
+  });
+
+  it('should log a contradiction', () => {
+    expect(mergeProfiles(profiles).conflicts[1]).toEqual({
+      reason: MERGE_CONFLICT.CONTRADICTION,
+      source: 'plug',
+      event: { state: 'off', timestamp: 600 },
+      keptSource: 'device',
+      keptEvent: { state: 'auto-off', timestamp: 601 },
+    });
+  });
+
+  it('should keep the auto-off savings of the higher-priority source', () => {
+    expect(calculateEnergySavings(mergeProfiles(profiles).profile)).toBe(
+      900 - 601
+    );
+  });
+
+  it('should trust the source given the highest priority', () => {
+    const { profile } = mergeProfiles(profiles, {
+      priority: ['plug', 'device'],
+    });
+    expect(profile.events.map((event) => event.source)).toEqual([
+      'plug',
+      'plug',
+      'plug',
+      'plug',
+    ]);
+  });
+
+  it('should put sources missing from the priority after it', () => {
+    const { profile } = mergeProfiles(
+      { ...profiles, meter: { initial: 'on', events: [] } },
+      { priority: ['meter'] }
+    );
+    expect(profile.initial).toBe('on');
+  });
+
+  it('should not deduplicate events further apart than the tolerance', () => {
+    expect(
+      mergeProfiles(profiles, { toleranceMinutes: 0 }).profile.events.length
+    ).toBe(6);
+  });
+
+  it('should prefer a duplicate over a closer contradiction', () => {
+    const { conflicts } = mergeProfiles(
+      {
+        device: {
+          initial: 'off',
+          events: [
+            { state: 'auto-off', timestamp: 100 },
+            { state: 'off', timestamp: 102 },
+          ],
+        },
+        plug: { initial: 'off', events: [{ state: 'off', timestamp: 101 }] },
+      },
+      { toleranceMinutes: 2 }
+    );
+    expect(conflicts[0].reason).toBe(MERGE_CONFLICT.DUPLICATE);
+  });
+
+  it('should check events against every higher-priority source', () => {
+    const { conflicts } = mergeProfiles({
+      device: { initial: 'off', events: [{ state: 'on', timestamp: 500 }] },
+      plug: { initial: 'off', events: [{ state: 'on', timestamp: 100 }] },
+      meter: { initial: 'off', events: [{ state: 'off', timestamp: 101 }] },
+    });
+    expect(conflicts).toEqual([
+      {
+        reason: MERGE_CONFLICT.CONTRADICTION,
+        source: 'meter',
+        event: { state: 'off', timestamp: 101 },
+        keptSource: 'plug',
+        keptEvent: { state: 'on', timestamp: 100 },
+      },
+    ]);
+  });
+
+  it('should never drop events of the same source', () => {
+    const { profile } = mergeProfiles({
+      plug: {
+        initial: 'off',
+        events: [
+          { state: 'on', timestamp: 100 },
+          { state: 'off', timestamp: 100 },
+        ],
+      },
+    });
+    expect(profile.events.length).toBe(2);
+  });
+
+  it('should order events of a source by their sequence numbers', () => {
+    const { profile } = mergeProfiles({
+      plug: {
+        initial: 'off',
+        events: [
+          { state: 'off', timestamp: 100, sequence: 1 },
+          { state: 'on', timestamp: 100, sequence: 2 },
+        ],
+      },
+    });
+    expect(calculateEnergyUsageSimple(profile)).toBe(MAX_IN_PERIOD - 100);
+  });
+
+  it('should keep sequence numbers so the month calculators agree', () => {
+    const { profile } = mergeProfiles({
+      plug: {
+        initial: 'off',
+        events: [
+          { state: 'off', timestamp: 100, sequence: 1 },
+          { state: 'on', timestamp: 100, sequence: 2 },
+        ],
+      },
+    });
+    expect(calculateEnergyUsageForDay(profile, 1)).toBe(MAX_IN_PERIOD - 100);
+  });
+
+  it('should log an initial state that disagrees with the highest-priority source', () => {
+    const { conflicts } = mergeProfiles({
+      device: { initial: 'auto-off', events: [] },
+      plug: { initial: 'off', events: [] },
+    });
+    expect(conflicts).toEqual([
+      {
+        reason: MERGE_CONFLICT.INITIAL_STATE,
+        source: 'plug',
+        event: { state: 'off' },
+        keptSource: 'device',
+        keptEvent: { state: 'auto-off' },
+      },
+    ]);
+  });
+
+  it('should not modify the profiles', () => {
+    const before = JSON.stringify(profiles);
+    mergeProfiles(profiles);
+    expect(JSON.stringify(profiles)).toBe(before);
+  });
+
+  it('should throw error when there are no sources', () => {
+    expect(() => mergeProfiles({})).toThrow(
+      /profiles must have at least one source/
+    );
+  });
+
+  it('should name the source with an invalid event', () => {
+    expect(() =>
+      mergeProfiles({
+        ...profiles,
+        plug: { initial: 'off', events: [{ state: 'broken', timestamp: 1 }] },
+      })
+    ).toThrow(/source 'plug': invalid state/);
+  });
+
+  it('should throw error for an event without a timestamp', () => {
+    expect(() =>
+      mergeProfiles({ plug: { initial: 'off', events: [{ state: 'on' }] } })
+    ).toThrow(/invalid timestamp/);
+  });
+
+  it('should throw error for an unknown source in the priority', () => {
+    expect(() => mergeProfiles(profiles, { priority: ['meter'] })).toThrow(
+      expect.objectContaining({ code: ERROR_CODE.INVALID_SOURCE })
+    );
+  });
+
+  it('should throw error for a source named twice in the priority', () => {
+    expect(() =>
+      mergeProfiles(profiles, { priority: ['plug', 'plug'] })
+    ).toThrow(/priority must name each source at most once/);
+  });
+
+  it('should throw error for a negative tolerance', () => {
+    expect(() => mergeProfiles(profiles, { toleranceMinutes: -1 })).toThrow(
+      /invalid toleranceMinutes/
+    );
+  });
+});
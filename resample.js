@@ -0,0 +1,237 @@
+const {
+  getStateIntervals,
+  getStandbyWatts,
+  stateDrawsPower,
+  stateCountsAsSavings,
+  validateAppliance,
+  validateDay,
+  validateDayRange,
+  validateProfile,
+  calculateEpochDayBoundaries,
+  MAX_IN_PERIOD,
+  MINUTES_IN_HOUR,
+  WH_IN_KWH,
+} = require('./index');
+const { ConfigurationError, ERROR_CODE } = require('./errors');
+
+/**
+ * LOAD PROFILES
+ *
+ * Grid and billing systems want usage in fixed buckets, such as every 15 minutes, rather than as
+ * totals or raw events. `resampleUsage` splits the state intervals of a profile between buckets
+ * exactly, so the buckets add up to `calculateEnergyUsageSimple` for a single day, or to
+ * `calculateEnergyUsageForDay` for each day of a month profile (and to their kWh versions when an
+ * appliance is given).
+ *
+ * `buildUsageHeatmap` lays the buckets of a month out as a days by buckets matrix, for the
+ * "when do you use it" view.
+ */
+
+/**
+ * Validates that a bucket size divides a day into whole buckets
+ * @param {number} bucketMinutes The bucket size in minutes
+ * @throws {ConfigurationError} When the bucket size is not a whole divisor of the day
+ */
+const validateBucketMinutes = (bucketMinutes) => {
+  if (
+    !Number.isInteger(bucketMinutes) ||
+    bucketMinutes <= 0 ||
+    MAX_IN_PERIOD % bucketMinutes !== 0
+  ) {
+    throw new ConfigurationError(
+      'bucket size must divide the day into whole buckets',
+      ERROR_CODE.INVALID_BUCKET_SIZE,
+      { value: bucketMinutes, range: { min: 1, max: MAX_IN_PERIOD } }
+    );
+  }
+};
+
+/**
+ * Gets what a minute in a state adds to a bucket
+ *
+ * @param {string} state The state
+ * @param {Object} [appliance] The appliance descriptor, to measure in kWh instead of on-minutes
+ * @returns {number} One for a minute switched on, or the kWh drawn in a minute
+ */
+const getMinuteWeight = (state, appliance) => {
+  if (!appliance) {
+    return stateDrawsPower(state) ? 1 : 0;
+  }
+  const watts = stateDrawsPower(state)
+    ? appliance.ratedWatts
+    : getStandbyWatts(appliance, state);
+  return watts / MINUTES_IN_HOUR / WH_IN_KWH;
+};
+
+/**
+ * Splits state intervals between fixed-size buckets
+ *
+ * @param {Array<Object>} intervals The state intervals, sorted and not overlapping
+ * @param {number} rangeStart The start of the first bucket
+ * @param {number} rangeEnd The end of the last bucket
+ * @param {number} bucketMinutes The bucket size in minutes
+ * @param {Function} getWeight Returns what a minute in a state adds to a bucket
+ * @returns {Array<number>} The total of each bucket
+ */
+const fillBuckets = (
+  intervals,
+  rangeStart,
+  rangeEnd,
+  bucketMinutes,
+  getWeight
+) => {
+  const buckets = new Array((rangeEnd - rangeStart) / bucketMinutes).fill(0);
+
+  intervals.forEach((interval) => {
+    const weight = getWeight(interval.state);
+    const end = Math.min(interval.end, rangeEnd);
+    let start = Math.max(interval.start, rangeStart);
+
+    // Split the interval at each bucket boundary it crosses.
+    while (weight > 0 && start < end) {
+      const bucket = Math.floor((start - rangeStart) / bucketMinutes);
+      const bucketEnd = rangeStart + (bucket + 1) * bucketMinutes;
+      const minutes = Math.min(end, bucketEnd) - start;
+
+      buckets[bucket] += minutes * weight;
+      start += minutes;
+    }
+  });
+
+  return buckets;
+};
+
+/**
+ * Resamples the usage of a profile into fixed-size buckets
+ *
+ * Without a day range, the profile is a single-day profile. With `startDay`, the profile is a
+ * month profile and the buckets cover `startDay` to `endDay`. Bucket `i` starts `i * bucketMinutes`
+ * minutes after the start of the first day.
+ *
+ * @param {Object} profile The usage profile
+ * @param {number} bucketMinutes The bucket size in minutes, which must divide the day into whole buckets
+ * @param {Object} [options]
+ * @param {number} [options.startDay] The first day of a month profile to resample
+ * @param {number} [options.endDay=startDay] The last day of a month profile to resample (inclusive)
+ * @param {Object} [options.appliance] The appliance descriptor, to measure in kWh instead of on-minutes
+ * @returns {Array<number>} The on-minutes, or kWh, in each bucket
+ * @throws {Error} When the profile, bucket size, day range or appliance is invalid
+ */
+const resampleUsage = (
+  profile,
+  bucketMinutes,
+  { startDay, endDay = startDay, appliance } = {}
+) => {
+  validateProfile(profile);
+  validateBucketMinutes(bucketMinutes);
+  if (appliance !== undefined) {
+    validateAppliance(appliance);
+  }
+
+  let intervals;
+  let rangeStart = 0;
+  let rangeEnd = MAX_IN_PERIOD;
+
+  if (startDay === undefined) {
+    intervals = getStateIntervals(profile, { days: 1 });
+  } else {
+    validateDayRange(startDay, endDay);
+    rangeStart = calculateEpochDayBoundaries(startDay).epochDayStart;
+    rangeEnd = calculateEpochDayBoundaries(endDay).epochDayEnd;
+    intervals = getStateIntervals(profile);
+
+    // The state left by the last event carries on past the day of the last event.
+    const lastInterval = intervals.at(-1);
+    lastInterval.end = Math.max(lastInterval.end, rangeEnd);
+    lastInterval.duration = lastInterval.end - lastInterval.start;
+  }
+
+  return fillBuckets(intervals, rangeStart, rangeEnd, bucketMinutes, (state) =>
+    getMinuteWeight(state, appliance)
+  );
+};
+
+/**
+ * Lays buckets out as a matrix with a row for each day, along with its totals
+ *
+ * @param {Array<number>} buckets The buckets of every day, in order
+ * @param {number} bucketsPerDay The number of buckets in a day
+ * @returns {Object} Object containing the matrix, dayTotals (row totals), bucketTotals (column totals) and total
+ */
+const toHeatmapLayer = (buckets, bucketsPerDay) => {
+  const matrix = [];
+  for (let i = 0; i < buckets.length; i += bucketsPerDay) {
+    matrix.push(buckets.slice(i, i + bucketsPerDay));
+  }
+
+  const dayTotals = matrix.map((row) =>
+    row.reduce((total, minutes) => total + minutes, 0)
+  );
+  const bucketTotals = new Array(bucketsPerDay).fill(0);
+  matrix.forEach((row) =>
+    row.forEach((minutes, bucket) => {
+      bucketTotals[bucket] += minutes;
+    })
+  );
+
+  return {
+    matrix,
+    dayTotals,
+    bucketTotals,
+    total: dayTotals.reduce((total, minutes) => total + minutes, 0),
+  };
+};
+
+/**
+ * Builds a heatmap of when an appliance is used over a month
+ *
+ * Row `d` of the matrix is day `d + 1`, and column `b` is the bucket starting `b * bucketMinutes`
+ * minutes into the day. The events are sorted and swept once by `getStateIntervals`, rather than
+ * sliced for each day.
+ *
+ * @param {Object} monthUsageProfile
+ * @param {string} monthUsageProfile.initial
+ * @param {Array<Object>} monthUsageProfile.events
+ * @param {Object} [options]
+ * @param {number} [options.days] The number of days in the month, by default up to the day of the last event
+ * @param {number} [options.bucketMinutes=60] The bucket size in minutes, which must divide the day into whole buckets
+ * @param {boolean} [options.includeSavings=false] Whether to add a savings layer of auto-off minutes
+ * @returns {Object} Object containing days, bucketMinutes, the usage layer and, if included, the savings layer
+ * @throws {Error} When the profile, number of days or bucket size is invalid
+ */
+const buildUsageHeatmap = (
+  monthUsageProfile,
+  { days, bucketMinutes = 60, includeSavings = false } = {}
+) => {
+  validateProfile(monthUsageProfile);
+  validateBucketMinutes(bucketMinutes);
+  if (days !== undefined) {
+    validateDay(days);
+  }
+
+  const intervals = getStateIntervals(monthUsageProfile, { days });
+  const periodEnd = intervals.at(-1).end;
+  const bucketsPerDay = MAX_IN_PERIOD / bucketMinutes;
+
+  const layerOf = (getWeight) =>
+    toHeatmapLayer(
+      fillBuckets(intervals, 0, periodEnd, bucketMinutes, getWeight),
+      bucketsPerDay
+    );
+
+  const heatmap = {
+    days: periodEnd / MAX_IN_PERIOD,
+    bucketMinutes,
+    usage: layerOf((state) => (stateDrawsPower(state) ? 1 : 0)),
+  };
+  if (includeSavings) {
+    heatmap.savings = layerOf((state) => (stateCountsAsSavings(state) ? 1 : 0));
+  }
+
+  return heatmap;
+};
+
+module.exports = {
+  resampleUsage,
+  buildUsageHeatmap,
+};
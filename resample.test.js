@@ -0,0 +1,158 @@
+const { resampleUsage, buildUsageHeatmap } = require('./resample');
+const {
+  calculateEnergyUsageSimple,
+  calculateEnergyUsageForDay,
+  calculateEnergyUsageSimpleInKwh,
+  MAX_IN_PERIOD,
+} = require('./index');
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('resampleUsage', () => {
+  const dayProfile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 50 },
+      { state: 'off', timestamp: 100 },
+      { state: 'on', timestamp: 1400 },
+    ],
+  };
+
+  const monthProfile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 1400 },
+      { state: 'auto-off', timestamp: 1500 },
+      { state: 'on', timestamp: 3000 },
+    ],
+  };
+
+  it('should return a bucket for each interval of the day', () => {
+    expect(resampleUsage(dayProfile, 15)).toHaveLength(MAX_IN_PERIOD / 15);
+  });
+
+  it('should split events in the middle of a bucket between buckets', () => {
+    expect(resampleUsage(dayProfile, 60).slice(0, 3)).toEqual([10, 40, 0]);
+  });
+
+  it('should add up to calculateEnergyUsageSimple', () => {
+    expect(sum(resampleUsage(dayProfile, 30))).toEqual(
+      calculateEnergyUsageSimple(dayProfile)
+    );
+  });
+
+  it('should resample a range of days of a month profile', () => {
+    const buckets = resampleUsage(monthProfile, 60, { startDay: 2, endDay: 3 });
+    expect(buckets).toHaveLength(48);
+  });
+
+  it('should add up to calculateEnergyUsageForDay for each day', () => {
+    const buckets = resampleUsage(monthProfile, 60, { startDay: 1, endDay: 3 });
+    expect(
+      [0, 1, 2].map((i) => sum(buckets.slice(i * 24, (i + 1) * 24)))
+    ).toEqual(
+      [1, 2, 3].map((day) => calculateEnergyUsageForDay(monthProfile, day))
+    );
+  });
+
+  it('should carry the last state on past the day of the last event', () => {
+    expect(resampleUsage(monthProfile, 1440, { startDay: 5 })).toEqual([
+      MAX_IN_PERIOD,
+    ]);
+  });
+
+  it('should measure kWh for an appliance', () => {
+    const appliance = { ratedWatts: 1200, standbyWatts: { off: 6 } };
+    expect(sum(resampleUsage(dayProfile, 15, { appliance }))).toBeCloseTo(
+      calculateEnergyUsageSimpleInKwh(dayProfile, appliance).kwh
+    );
+  });
+
+  it('should throw error for a bucket size that does not divide the day', () => {
+    expect(() => resampleUsage(dayProfile, 7)).toThrow(
+      /bucket size must divide the day into whole buckets/
+    );
+  });
+
+  it('should throw error for an inverted day range', () => {
+    expect(() =>
+      resampleUsage(monthProfile, 60, { startDay: 3, endDay: 2 })
+    ).toThrow(/invalid day range/);
+  });
+
+  it('should throw error for events outside a single day profile', () => {
+    expect(() => resampleUsage(monthProfile, 60)).toThrow(
+      /events out of range/
+    );
+  });
+});
+
+describe('buildUsageHeatmap', () => {
+  const monthProfile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 1400 },
+      { state: 'auto-off', timestamp: 1500 },
+      { state: 'on', timestamp: 3000 },
+      { state: 'off', timestamp: 3030 },
+    ],
+  };
+
+  it('should build a matrix with a row for each day and a column for each bucket', () => {
+    const { usage } = buildUsageHeatmap(monthProfile, { bucketMinutes: 360 });
+    expect(usage.matrix).toEqual([
+      [0, 0, 0, 40],
+      [60, 0, 0, 0],
+      [30, 0, 0, 0],
+    ]);
+  });
+
+  it('should total each day', () => {
+    expect(buildUsageHeatmap(monthProfile).usage.dayTotals).toEqual(
+      [1, 2, 3].map((day) => calculateEnergyUsageForDay(monthProfile, day))
+    );
+  });
+
+  it('should total each bucket across the days', () => {
+    const { usage } = buildUsageHeatmap(monthProfile, { bucketMinutes: 360 });
+    expect(usage.bucketTotals).toEqual([90, 0, 0, 40]);
+  });
+
+  it('should total the whole month', () => {
+    expect(buildUsageHeatmap(monthProfile).usage.total).toEqual(130);
+  });
+
+  it('should default to hourly buckets', () => {
+    const heatmap = buildUsageHeatmap(monthProfile);
+    expect([heatmap.bucketMinutes, heatmap.usage.matrix[0].length]).toEqual([
+      60, 24,
+    ]);
+  });
+
+  it('should cover the given number of days', () => {
+    const heatmap = buildUsageHeatmap(monthProfile, { days: 5 });
+    expect([heatmap.days, heatmap.usage.matrix.length]).toEqual([5, 5]);
+  });
+
+  it('should leave the savings layer out by default', () => {
+    expect(buildUsageHeatmap(monthProfile).savings).toBeUndefined();
+  });
+
+  it('should add a savings layer of auto-off minutes', () => {
+    const { savings } = buildUsageHeatmap(monthProfile, {
+      bucketMinutes: 720,
+      includeSavings: true,
+    });
+    expect(savings.matrix).toEqual([
+      [0, 0],
+      [660, 720],
+      [120, 0],
+    ]);
+  });
+
+  it('should throw error for a bucket size that does not divide the day', () => {
+    expect(() =>
+      buildUsageHeatmap(monthProfile, { bucketMinutes: 50 })
+    ).toThrow(/bucket size must divide the day into whole buckets/);
+  });
+});
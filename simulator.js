@@ -0,0 +1,68 @@
+const {
+  validateProfile,
+  validateState,
+  validateDay,
+  sortEventByTimeStamp,
+  getNextState,
+  MAX_IN_PERIOD,
+} = require('./index');
+const { ProfileValidationError, ERROR_CODE } = require('./errors');
+
+/**
+ * REFERENCE SIMULATOR
+ *
+ * The calculators use interval arithmetic, which has had subtle bugs with duplicate events and day
+ * boundaries. `simulateMinutes` is a deliberately simple reference that steps through a profile
+ * one minute at a time, so the calculators can be checked against it (see `simulator.test.js`).
+ * It is far too slow for reports, so only use it to verify.
+ */
+
+/**
+ * Resolves the state of an appliance for every minute of a profile
+ *
+ * An event at timestamp `t` sets the state from minute `t` onwards, and events at the same
+ * timestamp apply in order. State changes follow `getNextState`.
+ *
+ * @param {Object} profile The usage profile, with whole-minute timestamps
+ * @param {Object} [options]
+ * @param {number} [options.days] The number of days to simulate, by default up to the day of the last event
+ * @returns {Array<string>} The state for each minute, starting at minute 0
+ * @throws {Error} When the profile, an event or the number of days is invalid
+ */
+const simulateMinutes = (profile, { days } = {}) => {
+  validateProfile(profile);
+  profile.events.forEach((event, index) => {
+    validateState(event.state, index);
+    if (!Number.isInteger(event.timestamp) || event.timestamp < 0) {
+      throw new ProfileValidationError(
+        'timestamp must be a whole minute',
+        ERROR_CODE.INVALID_TIMESTAMP,
+        { value: event.timestamp, index }
+      );
+    }
+  });
+
+  const events = sortEventByTimeStamp(profile.events);
+  const lastTimestamp = events.length > 0 ? events.at(-1).timestamp : 0;
+  const simulatedDays =
+    days ?? Math.max(1, Math.ceil(lastTimestamp / MAX_IN_PERIOD));
+  validateDay(simulatedDays);
+
+  const minutes = [];
+  let state = profile.initial;
+  let position = 0;
+
+  for (let minute = 0; minute < simulatedDays * MAX_IN_PERIOD; minute++) {
+    while (position < events.length && events[position].timestamp <= minute) {
+      state = getNextState(state, events[position].state);
+      position++;
+    }
+    minutes.push(state);
+  }
+
+  return minutes;
+};
+
+module.exports = {
+  simulateMinutes,
+};
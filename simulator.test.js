@@ -0,0 +1,332 @@
+const { simulateMinutes } = require('./simulator');
+const {
+  calculateEnergyUsageSimple,
+  calculateEnergySavings,
+  calculateEnergyUsageForDay,
+  calculateEnergySavingsForDay,
+  calculateEnergyUsageForRange,
+  calculateEnergyUsageForWindow,
+  createUsageIndex,
+  getStateIntervals,
+  getAutoOffEpisodes,
+  canonicaliseProfile,
+  stateDrawsPower,
+  stateCountsAsSavings,
+  sortEventByTimeStamp,
+  MAX_IN_PERIOD,
+} = require('./index');
+const { UsageAccumulator } = require('./accumulator');
+const { resampleUsage, buildUsageHeatmap } = require('./resample');
+
+const STATES = ['on', 'off', 'auto-off'];
+
+describe('simulateMinutes', () => {
+  it('should resolve the state for every minute of the day', () => {
+    const minutes = simulateMinutes({
+      initial: 'off',
+      events: [{ state: 'on', timestamp: 1438 }],
+    });
+    expect([minutes.length, minutes.slice(1436)]).toEqual([
+      MAX_IN_PERIOD,
+      ['off', 'off', 'on', 'on'],
+    ]);
+  });
+
+  it('should keep auto-off after a manual off', () => {
+    const minutes = simulateMinutes({
+      initial: 'auto-off',
+      events: [{ state: 'off', timestamp: 1 }],
+    });
+    expect(minutes[1]).toBe('auto-off');
+  });
+
+  it('should simulate every day up to the day of the last event', () => {
+    const minutes = simulateMinutes({
+      initial: 'on',
+      events: [{ state: 'off', timestamp: MAX_IN_PERIOD + 5 }],
+    });
+    expect(minutes.length).toBe(2 * MAX_IN_PERIOD);
+  });
+
+  it('should throw error for a timestamp that is not a whole minute', () => {
+    expect(() =>
+      simulateMinutes({
+        initial: 'on',
+        events: [{ state: 'off', timestamp: 10.5 }],
+      })
+    ).toThrow(/timestamp must be a whole minute/);
+  });
+});
+
+/**
+ * PROPERTY TESTS
+ *
+ * Random profiles are generated from a seeded pseudo-random number generator, so a failure can be
+ * reproduced by its seed. Timestamps are clustered around day boundaries and repeated on purpose,
+ * as that is where the calculators have had bugs.
+ */
+
+// mulberry32, a small seeded pseudo-random number generator
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomInteger = (random, min, max) =>
+  min + Math.floor(random() * (max - min + 1));
+
+const randomItem = (random, items) =>
+  items[randomInteger(random, 0, items.length - 1)];
+
+// Picks a timestamp, often on or next to a day boundary or a timestamp already used
+const randomTimestamp = (random, maxTimestamp, usedTimestamps) => {
+  const choice = random();
+  if (choice < 0.2 && usedTimestamps.length > 0) {
+    return randomItem(random, usedTimestamps);
+  }
+  if (choice < 0.4) {
+    const boundary =
+      randomInteger(random, 0, Math.floor(maxTimestamp / MAX_IN_PERIOD)) *
+      MAX_IN_PERIOD;
+    return Math.min(
+      Math.max(boundary + randomInteger(random, -1, 1), 0),
+      maxTimestamp
+    );
+  }
+  return randomInteger(random, 0, maxTimestamp);
+};
+
+const randomProfile = (random, maxTimestamp) => {
+  const events = [];
+  const usedTimestamps = [];
+  const eventCount = randomInteger(random, 0, 12);
+
+  for (let i = 0; i < eventCount; i++) {
+    const timestamp = randomTimestamp(random, maxTimestamp, usedTimestamps);
+    usedTimestamps.push(timestamp);
+    events.push({ state: randomItem(random, STATES), timestamp });
+  }
+
+  return { initial: randomItem(random, STATES), events };
+};
+
+// The single-day calculators walk the events in the order given, so they are sorted first.
+const randomDayProfile = (random) => {
+  const profile = randomProfile(random, MAX_IN_PERIOD);
+  return { ...profile, events: sortEventByTimeStamp(profile.events) };
+};
+
+const randomMonthProfile = (random, days) =>
+  randomProfile(random, days * MAX_IN_PERIOD - 1);
+
+const countMinutes = (minutes, isCounted) =>
+  minutes.filter((state) => isCounted(state)).length;
+
+const countUsage = (minutes) => countMinutes(minutes, stateDrawsPower);
+
+const countSavings = (minutes) => countMinutes(minutes, stateCountsAsSavings);
+
+const getDayMinutes = (minutes, day) =>
+  minutes.slice((day - 1) * MAX_IN_PERIOD, day * MAX_IN_PERIOD);
+
+// Runs a property against a number of random cases, naming the seed of a failing case
+const forEachSeed = (runs, check) => {
+  for (let seed = 1; seed <= runs; seed++) {
+    try {
+      check(createRandom(seed));
+    } catch (error) {
+      error.message = `seed ${seed}: ${error.message}`;
+      throw error;
+    }
+  }
+};
+
+describe('single-day calculators agree with simulateMinutes', () => {
+  const RUNS = 200;
+
+  it('should agree on calculateEnergyUsageSimple', () => {
+    forEachSeed(RUNS, (random) => {
+      const profile = randomDayProfile(random);
+      expect(calculateEnergyUsageSimple(profile)).toBe(
+        countUsage(simulateMinutes(profile, { days: 1 }))
+      );
+    });
+  });
+
+  it('should agree on calculateEnergySavings', () => {
+    forEachSeed(RUNS, (random) => {
+      const profile = randomDayProfile(random);
+      expect(calculateEnergySavings(profile)).toBe(
+        countSavings(simulateMinutes(profile, { days: 1 }))
+      );
+    });
+  });
+
+  it('should agree on getAutoOffEpisodes', () => {
+    forEachSeed(RUNS, (random) => {
+      const profile = randomDayProfile(random);
+      const minutes = simulateMinutes(profile, { days: 1 });
+      getAutoOffEpisodes(profile).forEach((episode) => {
+        expect(countSavings(minutes.slice(episode.start, episode.end))).toBe(
+          episode.minutes
+        );
+      });
+    });
+  });
+
+  it('should agree on getStateIntervals', () => {
+    forEachSeed(RUNS, (random) => {
+      const profile = randomDayProfile(random);
+      const expanded = getStateIntervals(profile, { days: 1 }).flatMap(
+        (interval) => new Array(interval.duration).fill(interval.state)
+      );
+      expect(expanded).toEqual(simulateMinutes(profile, { days: 1 }));
+    });
+  });
+
+  it('should agree on UsageAccumulator', () => {
+    forEachSeed(RUNS, (random) => {
+      const profile = randomDayProfile(random);
+      const minutes = simulateMinutes(profile, { days: 1 });
+      const accumulator = new UsageAccumulator(profile.initial);
+      profile.events.forEach((event) => accumulator.push(event));
+      accumulator.advanceTo(MAX_IN_PERIOD);
+      expect([accumulator.getUsage(), accumulator.getSavings()]).toEqual([
+        countUsage(minutes),
+        countSavings(minutes),
+      ]);
+    });
+  });
+
+  it('should agree on resampleUsage', () => {
+    forEachSeed(RUNS, (random) => {
+      const profile = randomDayProfile(random);
+      const minutes = simulateMinutes(profile, { days: 1 });
+      expect(resampleUsage(profile, 60)).toEqual(
+        Array.from({ length: 24 }, (value, hour) =>
+          countUsage(minutes.slice(hour * 60, (hour + 1) * 60))
+        )
+      );
+    });
+  });
+});
+
+describe('month calculators agree with simulateMinutes', () => {
+  const RUNS = 100;
+
+  // Runs a check for every day of a random month profile of up to four days
+  const forEachDay = (check) => {
+    forEachSeed(RUNS, (random) => {
+      const days = randomInteger(random, 1, 4);
+      const profile = randomMonthProfile(random, days);
+      const minutes = simulateMinutes(profile, { days });
+      check(profile, days, minutes, random);
+    });
+  };
+
+  it('should agree on calculateEnergyUsageForDay', () => {
+    forEachDay((profile, days, minutes) => {
+      for (let day = 1; day <= days; day++) {
+        expect(calculateEnergyUsageForDay(profile, day)).toBe(
+          countUsage(getDayMinutes(minutes, day))
+        );
+      }
+    });
+  });
+
+  it('should agree on calculateEnergySavingsForDay', () => {
+    forEachDay((profile, days, minutes) => {
+      for (let day = 1; day <= days; day++) {
+        expect(calculateEnergySavingsForDay(profile, day)).toBe(
+          countSavings(getDayMinutes(minutes, day))
+        );
+      }
+    });
+  });
+
+  it('should agree on calculateEnergyUsageForRange', () => {
+    forEachDay((profile, days, minutes) => {
+      expect(calculateEnergyUsageForRange(profile, 1, days)).toEqual(
+        Array.from({ length: days }, (value, i) =>
+          countUsage(getDayMinutes(minutes, i + 1))
+        )
+      );
+    });
+  });
+
+  it('should agree on createUsageIndex', () => {
+    forEachDay((profile, days, minutes) => {
+      const { usageForDay } = createUsageIndex(profile);
+      for (let day = 1; day <= days; day++) {
+        expect(usageForDay(day)).toBe(countUsage(getDayMinutes(minutes, day)));
+      }
+    });
+  });
+
+  it('should agree on calculateEnergyUsageForWindow', () => {
+    forEachDay((profile, days, minutes, random) => {
+      const start = randomInteger(random, 0, minutes.length);
+      const end = randomInteger(random, start, minutes.length);
+      expect(calculateEnergyUsageForWindow(profile, start, end)).toBe(
+        countUsage(minutes.slice(start, end))
+      );
+    });
+  });
+
+  it('should agree on the per-day calculators with a day start offset', () => {
+    forEachSeed(RUNS, (random) => {
+      const days = randomInteger(random, 1, 4);
+      const profile = randomMonthProfile(random, days);
+      const dayStartOffset = randomInteger(random, 0, MAX_IN_PERIOD - 1);
+      const options = { dayStartOffset };
+      const minutes = simulateMinutes(profile, { days: days + 1 });
+      const shiftedDay = (day) =>
+        minutes.slice(
+          (day - 1) * MAX_IN_PERIOD + dayStartOffset,
+          day * MAX_IN_PERIOD + dayStartOffset
+        );
+      const { usageForDay } = createUsageIndex(profile, options);
+
+      for (let day = 1; day <= days; day++) {
+        const usage = countUsage(shiftedDay(day));
+        expect([
+          calculateEnergyUsageForDay(profile, day, options),
+          calculateEnergyUsageForRange(profile, day, day, options)[0],
+          usageForDay(day),
+          calculateEnergySavingsForDay(profile, day, options),
+        ]).toEqual([usage, usage, usage, countSavings(shiftedDay(day))]);
+      }
+    });
+  });
+
+  it('should agree on canonicaliseProfile', () => {
+    forEachDay((profile, days, minutes) => {
+      expect(
+        simulateMinutes(canonicaliseProfile(profile).profile, { days })
+      ).toEqual(minutes);
+    });
+  });
+
+  it('should agree on buildUsageHeatmap', () => {
+    forEachDay((profile, days, minutes) => {
+      const { usage, savings } = buildUsageHeatmap(profile, {
+        days,
+        bucketMinutes: MAX_IN_PERIOD,
+        includeSavings: true,
+      });
+      expect([usage.dayTotals, savings.dayTotals]).toEqual([
+        Array.from({ length: days }, (value, i) =>
+          countUsage(getDayMinutes(minutes, i + 1))
+        ),
+        Array.from({ length: days }, (value, i) =>
+          countSavings(getDayMinutes(minutes, i + 1))
+        ),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const {
+  calculateEnergyUsageForRange,
+  calculateEnergySavingsForDay,
+  getStateIntervals,
+  getOnRuns,
+  calculateEpochDayBoundaries,
+  validateDay,
+  validateProfile,
+  MAX_IN_PERIOD,
+} = require('./index');
+const { DayRangeError, ERROR_CODE } = require('./errors');
+
+/**
+ * MONTHLY SUMMARY
+ *
+ * The monthly report shows summary statistics alongside the per-day numbers. The daily usage and
+ * savings come from the same day slicing as `calculateEnergyUsageForDay` and
+ * `calculateEnergySavingsForDay`, and the on-cycles and on-runs from `getStateIntervals`, so the
+ * summary always agrees with the per-day figures.
+ *
+ * `compareBeforeAfter` shows whether the energy-saving device was worth buying, by comparing the
+ * days before it was installed with the days after.
+ */
+
+/**
+ * Calculates the median of a list of numbers
+ *
+ * @param {Array<number>} values The numbers, which must not be empty
+ * @returns {number} The median, averaging the middle two numbers for an even count
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+};
+
+/**
+ * Finds the day that best matches a comparison, taking the earliest day on a tie
+ *
+ * @param {Array<number>} dailyUsage The usage for each day, starting at day 1
+ * @param {Function} isBetter Returns whether the first usage beats the second
+ * @returns {Object} Object containing the day and its usage
+ */
+const findDay = (dailyUsage, isBetter) => {
+  return dailyUsage.reduce(
+    (best, usage, i) =>
+      isBetter(usage, best.usage) ? { day: i + 1, usage } : best,
+    { day: 1, usage: dailyUsage[0] }
+  );
+};
+
+/**
+ * Summarises the usage and savings of a month usage profile
+ *
+ * An on-cycle is each time the appliance starts drawing power, including being on at the start of
+ * the month. Timestamps of the longest on-run are minutes since the start of the month, and on a
+ * tie the earliest run is taken.
+ *
+ * @param {Object} monthUsageProfile
+ * @param {string} monthUsageProfile.initial
+ * @param {Array<Object>} monthUsageProfile.events
+ * @param {Object} [options]
+ * @param {number} [options.days] The number of days in the month, by default up to the day of the last event
+ * @returns {Object} Object containing days, usage (total, mean, median, peak and lowest), onCycles, longestOnRun (or null) and savings (total, daysWithSavings and shareOfDaysWithSavings)
+ * @throws {Error} When the profile or the number of days is invalid
+ */
+const summariseMonth = (monthUsageProfile, { days } = {}) => {
+  validateProfile(monthUsageProfile);
+  if (days !== undefined) {
+    validateDay(days);
+  }
+
+  const intervals = getStateIntervals(monthUsageProfile, { days });
+  const monthDays = intervals.at(-1).end / MAX_IN_PERIOD;
+
+  const dailyUsage = calculateEnergyUsageForRange(
+    monthUsageProfile,
+    1,
+    monthDays
+  );
+  const dailySavings = dailyUsage.map((usage, i) =>
+    calculateEnergySavingsForDay(monthUsageProfile, i + 1)
+  );
+
+  const totalUsage = dailyUsage.reduce((total, usage) => total + usage, 0);
+  const totalSavings = dailySavings.reduce(
+    (total, savings) => total + savings,
+    0
+  );
+  const daysWithSavings = dailySavings.filter((savings) => savings > 0).length;
+
+  const onRuns = getOnRuns(intervals);
+  const longestOnRun = onRuns.reduce(
+    (longest, run) =>
+      longest === null || run.minutes > longest.minutes ? run : longest,
+    null
+  );
+
+  return {
+    days: monthDays,
+    usage: {
+      total: totalUsage,
+      mean: totalUsage / monthDays,
+      median: median(dailyUsage),
+      peak: findDay(dailyUsage, (usage, best) => usage > best),
+      lowest: findDay(dailyUsage, (usage, best) => usage < best),
+    },
+    onCycles: onRuns.length,
+    longestOnRun,
+    savings: {
+      total: totalSavings,
+      daysWithSavings,
+      shareOfDaysWithSavings: daysWithSavings / monthDays,
+    },
+  };
+};
+
+/**
+ * Summarises the usage and on-cycles of a period of whole days
+ *
+ * @param {Array<number>} periodUsage The usage for each day of the period
+ * @param {Array<Object>} periodRuns The on-runs that started in the period
+ * @returns {Object} Object containing days, usage, averageDailyUsage, cycles and cyclesPerDay
+ */
+const summarisePeriod = (periodUsage, periodRuns) => {
+  const days = periodUsage.length;
+  const usage = periodUsage.reduce((total, dayUsage) => total + dayUsage, 0);
+  return {
+    days,
+    usage,
+    averageDailyUsage: usage / days,
+    cycles: periodRuns.length,
+    cyclesPerDay: periodRuns.length / days,
+  };
+};
+
+/**
+ * Compares the usage of a month profile before and after an energy-saving device was installed
+ *
+ * The days before the installation day make up the before period, and the installation day
+ * onwards the after period. An on-cycle counts towards the period it started in. The difference
+ * is after less before, so a negative difference is an improvement: `usage` and `cycles` are the
+ * raw differences, and `averageDailyUsage` and `cyclesPerDay` are normalised per day, which is
+ * the fair comparison when the periods have different lengths.
+ *
+ * @param {Object} monthUsageProfile
+ * @param {string} monthUsageProfile.initial
+ * @param {Array<Object>} monthUsageProfile.events
+ * @param {number} installDay The day the device was installed
+ * @param {Object} [options]
+ * @param {number} [options.days] The number of days in the month, by default up to the day of the last event
+ * @returns {Object} Object containing installDay, and the before, after and difference summaries
+ * @throws {Error} When the profile or a day is invalid, or either period would have no days
+ */
+const compareBeforeAfter = (monthUsageProfile, installDay, { days } = {}) => {
+  validateProfile(monthUsageProfile);
+  validateDay(installDay);
+  if (days !== undefined) {
+    validateDay(days);
+  }
+
+  const intervals = getStateIntervals(monthUsageProfile, { days });
+  const monthDays = intervals.at(-1).end / MAX_IN_PERIOD;
+
+  if (installDay === 1 || installDay > monthDays) {
+    throw new DayRangeError(
+      'install day must leave days before and after it',
+      ERROR_CODE.INVALID_DAY_RANGE,
+      { value: installDay, range: { min: 2, max: monthDays } }
+    );
+  }
+
+  const dailyUsage = calculateEnergyUsageForRange(
+    monthUsageProfile,
+    1,
+    monthDays
+  );
+  const { epochDayStart: installTime } =
+    calculateEpochDayBoundaries(installDay);
+  const onRuns = getOnRuns(intervals);
+
+  const before = summarisePeriod(
+    dailyUsage.slice(0, installDay - 1),
+    onRuns.filter((run) => run.start < installTime)
+  );
+  const after = summarisePeriod(
+    dailyUsage.slice(installDay - 1),
+    onRuns.filter((run) => run.start >= installTime)
+  );
+
+  return {
+    installDay,
+    before,
+    after,
+    difference: {
+      usage: after.usage - before.usage,
+      averageDailyUsage: after.averageDailyUsage - before.averageDailyUsage,
+      cycles: after.cycles - before.cycles,
+      cyclesPerDay: after.cyclesPerDay - before.cyclesPerDay,
+    },
+  };
+};
+
+module.exports = {
+  summariseMonth,
+  compareBeforeAfter,
+};
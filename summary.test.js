@@ -0,0 +1,171 @@
+const { summariseMonth, compareBeforeAfter } = require('./summary');
+const { MAX_IN_PERIOD } = require('./index');
+
+describe('summariseMonth', () => {
+  const monthProfile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 1400 },
+      { state: 'auto-off', timestamp: 1500 },
+      { state: 'on', timestamp: 3000 },
+      { state: 'on', timestamp: 3200 },
+      { state: 'off', timestamp: 3500 },
+    ],
+  };
+
+  it('should cover every day up to the day of the last event', () => {
+    expect(summariseMonth(monthProfile).days).toEqual(3);
+  });
+
+  it('should summarise the daily usage', () => {
+    expect(summariseMonth(monthProfile).usage).toEqual({
+      total: 600,
+      mean: 200,
+      median: 60,
+      peak: { day: 3, usage: 500 },
+      lowest: { day: 1, usage: 40 },
+    });
+  });
+
+  it('should count each time the appliance is switched on, ignoring duplicates', () => {
+    expect(summariseMonth(monthProfile).onCycles).toEqual(2);
+  });
+
+  it('should find the longest continuous on-run', () => {
+    expect(summariseMonth(monthProfile).longestOnRun).toEqual({
+      start: 3000,
+      end: 3500,
+      minutes: 500,
+    });
+  });
+
+  it('should summarise the auto-off savings', () => {
+    expect(summariseMonth(monthProfile).savings).toEqual({
+      total: MAX_IN_PERIOD + 60,
+      daysWithSavings: 2,
+      shareOfDaysWithSavings: 2 / 3,
+    });
+  });
+
+  it('should cover the given number of days', () => {
+    const { days, usage } = summariseMonth(monthProfile, { days: 4 });
+    expect({ days, median: usage.median }).toEqual({ days: 4, median: 50 });
+  });
+
+  it('should join an on-run across midnight', () => {
+    const overnight = {
+      initial: 'on',
+      events: [{ state: 'off', timestamp: MAX_IN_PERIOD + 100 }],
+    };
+    expect(summariseMonth(overnight).longestOnRun).toEqual({
+      start: 0,
+      end: MAX_IN_PERIOD + 100,
+      minutes: MAX_IN_PERIOD + 100,
+    });
+  });
+
+  it('should return no on-run for an appliance that is never on', () => {
+    const { onCycles, longestOnRun } = summariseMonth({
+      initial: 'off',
+      events: [],
+    });
+    expect({ onCycles, longestOnRun }).toEqual({
+      onCycles: 0,
+      longestOnRun: null,
+    });
+  });
+
+  it('should throw error for an invalid number of days', () => {
+    expect(() => summariseMonth(monthProfile, { days: 0 })).toThrow(
+      /day out of range/
+    );
+  });
+
+  it('should throw error for an event after the given number of days', () => {
+    expect(() => summariseMonth(monthProfile, { days: 2 })).toThrow(
+      /events out of range/
+    );
+  });
+});
+
+describe('compareBeforeAfter', () => {
+  // On for 300 minutes a day in two cycles before day 3, then 100 minutes in one cycle a day
+  const monthProfile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 0 },
+      { state: 'off', timestamp: 150 },
+      { state: 'on', timestamp: 600 },
+      { state: 'off', timestamp: 750 },
+      { state: 'on', timestamp: MAX_IN_PERIOD },
+      { state: 'off', timestamp: MAX_IN_PERIOD + 150 },
+      { state: 'on', timestamp: MAX_IN_PERIOD + 600 },
+      { state: 'off', timestamp: MAX_IN_PERIOD + 750 },
+      { state: 'on', timestamp: 2 * MAX_IN_PERIOD },
+      { state: 'auto-off', timestamp: 2 * MAX_IN_PERIOD + 100 },
+      { state: 'on', timestamp: 3 * MAX_IN_PERIOD },
+      { state: 'auto-off', timestamp: 3 * MAX_IN_PERIOD + 100 },
+      { state: 'on', timestamp: 4 * MAX_IN_PERIOD },
+      { state: 'auto-off', timestamp: 4 * MAX_IN_PERIOD + 100 },
+    ],
+  };
+
+  it('should summarise the days before the installation day', () => {
+    expect(compareBeforeAfter(monthProfile, 3).before).toEqual({
+      days: 2,
+      usage: 600,
+      averageDailyUsage: 300,
+      cycles: 4,
+      cyclesPerDay: 2,
+    });
+  });
+
+  it('should summarise the installation day onwards', () => {
+    expect(compareBeforeAfter(monthProfile, 3).after).toEqual({
+      days: 3,
+      usage: 300,
+      averageDailyUsage: 100,
+      cycles: 3,
+      cyclesPerDay: 1,
+    });
+  });
+
+  it('should give the raw and per-day differences', () => {
+    expect(compareBeforeAfter(monthProfile, 3).difference).toEqual({
+      usage: -300,
+      averageDailyUsage: -200,
+      cycles: -1,
+      cyclesPerDay: -1,
+    });
+  });
+
+  it('should count a cycle running over the installation day towards the period it started in', () => {
+    const overnight = {
+      initial: 'off',
+      events: [
+        { state: 'on', timestamp: MAX_IN_PERIOD - 60 },
+        { state: 'off', timestamp: MAX_IN_PERIOD + 60 },
+      ],
+    };
+    const { before, after } = compareBeforeAfter(overnight, 2);
+    expect([before.cycles, after.cycles]).toEqual([1, 0]);
+  });
+
+  it('should throw error for an installation day without days before it', () => {
+    expect(() => compareBeforeAfter(monthProfile, 1)).toThrow(
+      /install day must leave days before and after it/
+    );
+  });
+
+  it('should throw error for an installation day after the month', () => {
+    expect(() => compareBeforeAfter(monthProfile, 6)).toThrow(
+      /install day must leave days before and after it/
+    );
+  });
+
+  it('should throw error for an invalid installation day', () => {
+    expect(() => compareBeforeAfter(monthProfile, 2.5)).toThrow(
+      /must be an integer/
+    );
+  });
+});
@@ -0,0 +1,411 @@
+const {
+  validateProfile,
+  validateDay,
+  validateAppliance,
+  buildDayProfile,
+  validateDayStartOffset,
+  getStandbyWatts,
+  getStateIntervals,
+  stateDrawsPower,
+  stateCountsAsSavings,
+  isNonNegativeNumber,
+  MAX_IN_PERIOD,
+  MINUTES_IN_HOUR,
+  WH_IN_KWH,
+} = require('./index');
+const { ConfigurationError, ERROR_CODE } = require('./errors');
+
+/**
+ * TIME-OF-USE TARIFFS
+ *
+ * A tariff prices energy at a different rate depending on the time of day. The day is divided
+ * into peak, shoulder and off-peak bands by minute-of-day ranges, and weekends can have their
+ * own bands. Rates are in dollars per kWh, and the optional daily supply charge is in dollars.
+ *
+ * The structure for `tariff` looks like this (as an example):
+ * ```
+ * {
+ *    weekday: [
+ *      { band: 'off-peak', start: 0, end: 420, rate: 0.2 },
+ *      { band: 'peak', start: 420, end: 1260, rate: 0.5 },
+ *      { band: 'shoulder', start: 1260, end: 1440, rate: 0.3 },
+ *    ],
+ *    weekend: [{ band: 'off-peak', start: 0, end: 1440, rate: 0.2 }],
+ *    dailySupplyCharge: 1.1,
+ *    startDayOfWeek: 1,
+ * }
+ * ```
+ * Each band starts at `start` (inclusive) and ends at `end` (exclusive), and the bands for a day
+ * must cover the whole day without overlapping. `weekend` defaults to the weekday bands.
+ *
+ * `startDayOfWeek` is the day of the week of day 1, from 0 (Sunday) to 6 (Saturday), and
+ * defaults to Monday.
+ *
+ * Band times are always clock times. When days start at a `dayStartOffset` after midnight, the
+ * whole day is priced with the bands of the day it starts on, including the minutes after the
+ * next midnight.
+ */
+
+const BAND = {
+  PEAK: 'peak',
+  SHOULDER: 'shoulder',
+  OFF_PEAK: 'off-peak',
+};
+
+const DAYS_IN_WEEK = 7;
+const SUNDAY = 0;
+const MONDAY = 1;
+const SATURDAY = 6;
+
+/**
+ * Validates the bands for one type of day in a tariff
+ *
+ * @param {Array<Object>} bands The bands to validate
+ * @throws {ConfigurationError} When a band is invalid, or the bands do not cover the whole day
+ */
+const validateBands = (bands) => {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new ConfigurationError(
+      'tariff bands must be a non-empty array',
+      ERROR_CODE.INVALID_TARIFF,
+      { value: bands }
+    );
+  }
+
+  bands.forEach((band, index) => {
+    if (!Object.values(BAND).includes(band.band)) {
+      throw new ConfigurationError(
+        'invalid tariff band',
+        ERROR_CODE.INVALID_TARIFF,
+        {
+          value: band.band,
+          index,
+          allowed: Object.values(BAND),
+        }
+      );
+    }
+    if (
+      !Number.isInteger(band.start) ||
+      !Number.isInteger(band.end) ||
+      band.start < 0 ||
+      band.end > MAX_IN_PERIOD ||
+      band.start >= band.end
+    ) {
+      throw new ConfigurationError(
+        'tariff band out of range',
+        ERROR_CODE.INVALID_TARIFF,
+        {
+          value: { start: band.start, end: band.end },
+          index,
+          range: { min: 0, max: MAX_IN_PERIOD },
+        }
+      );
+    }
+    if (!isNonNegativeNumber(band.rate)) {
+      throw new ConfigurationError(
+        'invalid tariff rate',
+        ERROR_CODE.INVALID_TARIFF,
+        {
+          value: band.rate,
+          index,
+          range: { min: 0, max: Infinity },
+        }
+      );
+    }
+  });
+
+  const coverageError = new ConfigurationError(
+    'tariff bands must cover the whole day without overlapping',
+    ERROR_CODE.INVALID_TARIFF,
+    { value: bands, range: { min: 0, max: MAX_IN_PERIOD } }
+  );
+
+  const sortedBands = [...bands].sort((a, b) => a.start - b.start);
+  let coveredUntil = 0;
+  sortedBands.forEach((band) => {
+    if (band.start !== coveredUntil) {
+      throw coverageError;
+    }
+    coveredUntil = band.end;
+  });
+  if (coveredUntil !== MAX_IN_PERIOD) {
+    throw coverageError;
+  }
+};
+
+/**
+ * Validates a tariff object
+ *
+ * @param {Object} tariff The tariff to validate
+ * @throws {ConfigurationError} When the tariff is missing, or has invalid bands, charges or start day of week
+ */
+const validateTariff = (tariff) => {
+  if (!tariff || typeof tariff !== 'object') {
+    throw new ConfigurationError(
+      'tariff must be a valid object',
+      ERROR_CODE.INVALID_TARIFF,
+      { value: tariff }
+    );
+  }
+
+  validateBands(tariff.weekday);
+
+  if (tariff.weekend !== undefined) {
+    validateBands(tariff.weekend);
+  }
+
+  if (
+    tariff.dailySupplyCharge !== undefined &&
+    !isNonNegativeNumber(tariff.dailySupplyCharge)
+  ) {
+    throw new ConfigurationError(
+      'invalid daily supply charge',
+      ERROR_CODE.INVALID_TARIFF,
+      { value: tariff.dailySupplyCharge, range: { min: 0, max: Infinity } }
+    );
+  }
+
+  if (
+    tariff.startDayOfWeek !== undefined &&
+    (!Number.isInteger(tariff.startDayOfWeek) ||
+      tariff.startDayOfWeek < SUNDAY ||
+      tariff.startDayOfWeek > SATURDAY)
+  ) {
+    throw new ConfigurationError(
+      'invalid start day of week',
+      ERROR_CODE.INVALID_TARIFF,
+      { value: tariff.startDayOfWeek, range: { min: SUNDAY, max: SATURDAY } }
+    );
+  }
+};
+
+/**
+ * Determines whether a day number falls on a weekend
+ *
+ * @param {Object} tariff The tariff, which sets the day of the week of day 1
+ * @param {number} day The day number
+ * @returns {boolean} True for Saturdays and Sundays
+ */
+const isWeekend = (tariff, day) => {
+  const startDayOfWeek =
+    tariff.startDayOfWeek === undefined ? MONDAY : tariff.startDayOfWeek;
+  const dayOfWeek = (startDayOfWeek + day - 1) % DAYS_IN_WEEK;
+  return dayOfWeek === SATURDAY || dayOfWeek === SUNDAY;
+};
+
+/**
+ * Gets the bands in force on a day number
+ *
+ * @param {Object} tariff The tariff
+ * @param {number} day The day number
+ * @returns {Array<Object>} The bands for the day
+ */
+const getBandsForDay = (tariff, day) => {
+  if (isWeekend(tariff, day) && tariff.weekend !== undefined) {
+    return tariff.weekend;
+  }
+  return tariff.weekday;
+};
+
+/**
+ * Moves bands from minutes after midnight to minutes after the start of the day
+ *
+ * A band that crosses the start of the day is split in two, so the bands still cover the day.
+ *
+ * @param {Array<Object>} bands The bands for the day
+ * @param {number} dayStartOffset The minutes after midnight that the day starts
+ * @returns {Array<Object>} The bands, with start and end minutes counted from the start of the day
+ */
+const shiftBands = (bands, dayStartOffset) => {
+  return bands.flatMap((band) => {
+    const start = band.start - dayStartOffset;
+    const end = band.end - dayStartOffset;
+    if (start >= 0) {
+      return [{ ...band, start, end }];
+    }
+    if (end <= 0) {
+      return [
+        { ...band, start: start + MAX_IN_PERIOD, end: end + MAX_IN_PERIOD },
+      ];
+    }
+    return [
+      { ...band, start: start + MAX_IN_PERIOD, end: MAX_IN_PERIOD },
+      { ...band, start: 0, end },
+    ];
+  });
+};
+
+/**
+ * Calculates the number of minutes a period overlaps with a band
+ *
+ * @param {Object} period The period, with start and end minutes
+ * @param {Object} band The band, with start and end minutes
+ * @returns {number} The overlap in minutes
+ */
+const getOverlap = (period, band) => {
+  return Math.max(
+    Math.min(period.end, band.end) - Math.max(period.start, band.start),
+    0
+  );
+};
+
+/**
+ * Creates an empty cost breakdown with an entry for each band
+ *
+ * @returns {Object} Object containing kwh, cost and a per-band breakdown
+ */
+const createCostBreakdown = () => {
+  const bands = {};
+  Object.values(BAND).forEach((band) => {
+    bands[band] = { minutes: 0, kwh: 0, cost: 0 };
+  });
+  return { minutes: 0, kwh: 0, cost: 0, bands };
+};
+
+/**
+ * Adds the energy drawn at a given power over part of a band to a cost breakdown
+ *
+ * @param {Object} breakdown The cost breakdown to add to
+ * @param {Object} band The band the minutes fall in
+ * @param {number} minutes The number of minutes
+ * @param {number} watts The power drawn
+ */
+const addEnergy = (breakdown, band, minutes, watts) => {
+  const kwh = (minutes * watts) / MINUTES_IN_HOUR / WH_IN_KWH;
+  const cost = kwh * band.rate;
+
+  breakdown.kwh += kwh;
+  breakdown.cost += cost;
+  breakdown.bands[band.band].kwh += kwh;
+  breakdown.bands[band.band].cost += cost;
+};
+
+/**
+ * Adds minutes spent in a band to a cost breakdown
+ *
+ * @param {Object} breakdown The cost breakdown to add to
+ * @param {Object} band The band the minutes fall in
+ * @param {number} minutes The number of minutes
+ */
+const addMinutes = (breakdown, band, minutes) => {
+  breakdown.minutes += minutes;
+  breakdown.bands[band.band].minutes += minutes;
+};
+
+/**
+ * Prices a single-day profile against the bands for a day
+ *
+ * Usage is the energy drawn in every state (including standby), but its minutes are only the
+ * minutes switched on. Savings are priced at the rate in force during each auto-off minute.
+ *
+ * @param {Object} profile The single-day usage profile
+ * @param {Object} appliance The appliance descriptor
+ * @param {Object} tariff The tariff
+ * @param {number} day The day number, which selects the weekday or weekend bands
+ * @param {number} [dayStartOffset=0] The minutes after midnight that the day starts
+ * @returns {Object} Object containing usage, savings, supplyCharge and total
+ */
+const priceDayProfile = (
+  profile,
+  appliance,
+  tariff,
+  day,
+  dayStartOffset = 0
+) => {
+  const bands = shiftBands(getBandsForDay(tariff, day), dayStartOffset);
+  const usage = createCostBreakdown();
+  const savings = createCostBreakdown();
+
+  getStateIntervals(profile, { days: 1 }).forEach((period) => {
+    const watts = stateDrawsPower(period.state)
+      ? appliance.ratedWatts
+      : getStandbyWatts(appliance, period.state);
+
+    bands.forEach((band) => {
+      const minutes = getOverlap(period, band);
+      if (minutes === 0) {
+        return;
+      }
+
+      addEnergy(usage, band, minutes, watts);
+
+      if (stateDrawsPower(period.state)) {
+        addMinutes(usage, band, minutes);
+      } else if (stateCountsAsSavings(period.state)) {
+        addEnergy(savings, band, minutes, appliance.ratedWatts - watts);
+        addMinutes(savings, band, minutes);
+      }
+    });
+  });
+
+  const supplyCharge = tariff.dailySupplyCharge || 0;
+
+  return {
+    usage,
+    savings,
+    supplyCharge,
+    total: usage.cost + supplyCharge,
+  };
+};
+
+/**
+ * Calculates the cost of a single-day usage profile
+ *
+ * @param {Object} profile The usage profile containing initial state and events
+ * @param {Object} appliance The appliance descriptor
+ * @param {Object} tariff The tariff
+ * @param {number} [day=1] The day number, which selects the weekday or weekend bands
+ * @returns {Object} Object containing usage, savings, supplyCharge and total
+ * @throws {Error} When the profile, appliance, tariff or day is invalid
+ */
+const calculateCostSimple = (profile, appliance, tariff, day = 1) => {
+  validateProfile(profile);
+  validateAppliance(appliance);
+  validateTariff(tariff);
+  validateDay(day);
+
+  return priceDayProfile(profile, appliance, tariff, day);
+};
+
+/**
+ * Calculates the cost for a specific day from a month usage profile
+ *
+ * @param {Object} monthUsageProfile
+ * @param {number} day
+ * @param {Object} appliance The appliance descriptor
+ * @param {Object} tariff The tariff
+ * @param {Object} [options]
+ * @param {number} [options.dayStartOffset=0] The minutes after midnight that each day starts
+ * @returns {Object} Object containing usage, savings, supplyCharge and total
+ * @throws {Error} When the profile, appliance, tariff, day or day start offset is invalid
+ */
+const calculateCostForDay = (
+  monthUsageProfile,
+  day,
+  appliance,
+  tariff,
+  { dayStartOffset = 0 } = {}
+) => {
+  validateDay(day);
+  validateDayStartOffset(dayStartOffset);
+  validateProfile(monthUsageProfile);
+  validateAppliance(appliance);
+  validateTariff(tariff);
+
+  return priceDayProfile(
+    buildDayProfile(monthUsageProfile, day, dayStartOffset),
+    appliance,
+    tariff,
+    day,
+    dayStartOffset
+  );
+};
+
+module.exports = {
+  calculateCostSimple,
+  calculateCostForDay,
+  validateTariff,
+  isWeekend,
+  getBandsForDay,
+  BAND,
+};
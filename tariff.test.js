@@ -0,0 +1,267 @@
+const {
+  calculateCostSimple,
+  calculateCostForDay,
+  validateTariff,
+  isWeekend,
+  getBandsForDay,
+} = require('./tariff');
+const {
+  calculateEnergyUsageSimpleInKwh,
+  registerState,
+  unregisterState,
+} = require('./index');
+
+const tariff = {
+  weekday: [
+    { band: 'off-peak', start: 0, end: 420, rate: 0.2 },
+    { band: 'peak', start: 420, end: 1260, rate: 0.5 },
+    { band: 'shoulder', start: 1260, end: 1440, rate: 0.3 },
+  ],
+  weekend: [{ band: 'off-peak', start: 0, end: 1440, rate: 0.1 }],
+  dailySupplyCharge: 1.2,
+};
+
+// 6kW makes every minute on use 0.1kWh
+const appliance = { ratedWatts: 6000 };
+
+describe('calculateCostSimple', () => {
+  const usageProfile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 400 },
+      { state: 'off', timestamp: 440 },
+      { state: 'on', timestamp: 1250 },
+      { state: 'auto-off', timestamp: 1300 },
+      { state: 'off', timestamp: 1350 },
+      { state: 'on', timestamp: 1400 },
+    ],
+  };
+
+  it('should price usage at the rate of the band it falls in', () => {
+    const result = calculateCostSimple(usageProfile, appliance, tariff);
+    expect(result.usage.cost).toBeCloseTo(
+      20 * 0.1 * 0.2 + (20 + 10) * 0.1 * 0.5 + (40 + 40) * 0.1 * 0.3
+    );
+  });
+
+  it('should break usage down by band', () => {
+    const result = calculateCostSimple(usageProfile, appliance, tariff);
+    expect(result.usage.bands.peak.minutes).toEqual(20 + 10);
+  });
+
+  it('should count the minutes switched on as usage', () => {
+    const result = calculateCostSimple(usageProfile, appliance, tariff);
+    expect(result.usage.minutes).toEqual(40 + 50 + 40);
+  });
+
+  it('should price savings at the rate in force during each saved minute', () => {
+    const result = calculateCostSimple(usageProfile, appliance, tariff);
+    expect(result.savings.cost).toBeCloseTo(100 * 0.1 * 0.3);
+  });
+
+  it('should price savings that span bands at each band rate', () => {
+    const profile = {
+      initial: 'on',
+      events: [
+        { state: 'auto-off', timestamp: 1200 },
+        { state: 'on', timestamp: 1300 },
+      ],
+    };
+    const result = calculateCostSimple(profile, appliance, tariff);
+    expect(result.savings.cost).toBeCloseTo(60 * 0.1 * 0.5 + 40 * 0.1 * 0.3);
+  });
+
+  it('should add the daily supply charge to the total', () => {
+    const result = calculateCostSimple(usageProfile, appliance, tariff);
+    expect(result.total).toBeCloseTo(result.usage.cost + 1.2);
+  });
+
+  it('should price standby power as usage', () => {
+    const result = calculateCostSimple(
+      { initial: 'off', events: [] },
+      { ratedWatts: 6000, standbyWatts: { off: 60 } },
+      tariff
+    );
+    expect(result.usage.cost).toBeCloseTo(
+      420 * 0.001 * 0.2 + 840 * 0.001 * 0.5 + 180 * 0.001 * 0.3
+    );
+  });
+
+  it('should use the weekend bands on a weekend day', () => {
+    const result = calculateCostSimple(
+      { initial: 'on', events: [] },
+      appliance,
+      tariff,
+      6
+    );
+    expect(result.usage.cost).toBeCloseTo(1440 * 0.1 * 0.1);
+  });
+
+  it('should agree with calculateEnergyUsageSimpleInKwh for a custom state', () => {
+    registerState('standby');
+    try {
+      const profile = { initial: 'standby', events: [] };
+      const standbyAppliance = {
+        ratedWatts: 6000,
+        standbyWatts: { standby: 50 },
+      };
+      expect(
+        calculateCostSimple(profile, standbyAppliance, tariff).usage.kwh
+      ).toBeCloseTo(
+        calculateEnergyUsageSimpleInKwh(profile, standbyAppliance).kwh
+      );
+      expect(
+        calculateEnergyUsageSimpleInKwh(profile, standbyAppliance).kwh
+      ).toBeCloseTo(1.2);
+    } finally {
+      unregisterState('standby');
+    }
+  });
+
+  it('should throw an error on an invalid tariff', () => {
+    expect(() => calculateCostSimple(usageProfile, appliance, {})).toThrow(
+      /tariff bands must be a non-empty array/
+    );
+  });
+});
+
+describe('calculateCostForDay', () => {
+  const monthProfile = {
+    initial: 'off',
+    events: [
+      { state: 'on', timestamp: 1400 },
+      { state: 'auto-off', timestamp: 1500 },
+      { state: 'on', timestamp: 2000 },
+    ],
+  };
+
+  it('should price usage carried over from the previous day', () => {
+    const result = calculateCostForDay(monthProfile, 2, appliance, tariff);
+    expect(result.usage.cost).toBeCloseTo(
+      60 * 0.1 * 0.2 + 700 * 0.1 * 0.5 + 180 * 0.1 * 0.3
+    );
+  });
+
+  it('should price savings for the day', () => {
+    const result = calculateCostForDay(monthProfile, 2, appliance, tariff);
+    expect(result.savings.cost).toBeCloseTo(360 * 0.1 * 0.2 + 140 * 0.1 * 0.5);
+  });
+
+  it('should price a day that starts after midnight at the clock time rates', () => {
+    const result = calculateCostForDay(monthProfile, 1, appliance, tariff, {
+      dayStartOffset: 360,
+    });
+    expect(result.usage.cost).toBeCloseTo(40 * 0.1 * 0.3 + 60 * 0.1 * 0.2);
+  });
+
+  it('should throw an error on an invalid day start offset', () => {
+    expect(() =>
+      calculateCostForDay(monthProfile, 1, appliance, tariff, {
+        dayStartOffset: 1440,
+      })
+    ).toThrow(/invalid day start offset/);
+  });
+
+  it('should throw an error on an out of range day number', () => {
+    expect(() =>
+      calculateCostForDay(monthProfile, 366, appliance, tariff)
+    ).toThrow(/day out of range/);
+  });
+});
+
+describe('validateTariff', () => {
+  it('should accept a valid tariff', () => {
+    expect(() => validateTariff(tariff)).not.toThrow();
+  });
+
+  it('should throw error for a missing tariff', () => {
+    expect(() => validateTariff(null)).toThrow(/tariff must be a valid object/);
+  });
+
+  it('should throw error for an unknown band', () => {
+    expect(() =>
+      validateTariff({
+        weekday: [{ band: 'super-peak', start: 0, end: 1440, rate: 1 }],
+      })
+    ).toThrow(/invalid tariff band/);
+  });
+
+  it('should throw error for bands that leave a gap', () => {
+    expect(() =>
+      validateTariff({
+        weekday: [
+          { band: 'off-peak', start: 0, end: 400, rate: 0.2 },
+          { band: 'peak', start: 420, end: 1440, rate: 0.5 },
+        ],
+      })
+    ).toThrow(/tariff bands must cover the whole day without overlapping/);
+  });
+
+  it('should throw error for overlapping bands', () => {
+    expect(() =>
+      validateTariff({
+        weekday: [
+          { band: 'off-peak', start: 0, end: 500, rate: 0.2 },
+          { band: 'peak', start: 420, end: 1440, rate: 0.5 },
+        ],
+      })
+    ).toThrow(/tariff bands must cover the whole day without overlapping/);
+  });
+
+  it('should throw error for a band out of range', () => {
+    expect(() =>
+      validateTariff({
+        weekday: [{ band: 'peak', start: 0, end: 1500, rate: 0.5 }],
+      })
+    ).toThrow(/tariff band out of range/);
+  });
+
+  it('should throw error for a negative rate', () => {
+    expect(() =>
+      validateTariff({
+        weekday: [{ band: 'peak', start: 0, end: 1440, rate: -1 }],
+      })
+    ).toThrow(/invalid tariff rate/);
+  });
+
+  it('should throw error for an invalid daily supply charge', () => {
+    expect(() =>
+      validateTariff({ ...tariff, dailySupplyCharge: 'free' })
+    ).toThrow(/invalid daily supply charge/);
+  });
+
+  it('should throw error for an invalid start day of week', () => {
+    expect(() => validateTariff({ ...tariff, startDayOfWeek: 7 })).toThrow(
+      /invalid start day of week/
+    );
+  });
+});
+
+describe('isWeekend', () => {
+  it('should treat day 1 as a Monday by default', () => {
+    expect(isWeekend({}, 1)).toBe(false);
+  });
+
+  it('should treat days 6 and 7 as the weekend by default', () => {
+    expect([6, 7].map((day) => isWeekend({}, day))).toEqual([true, true]);
+  });
+
+  it('should use the start day of week', () => {
+    expect(isWeekend({ startDayOfWeek: 6 }, 1)).toBe(true);
+  });
+});
+
+describe('getBandsForDay', () => {
+  it('should return the weekday bands on a weekday', () => {
+    expect(getBandsForDay(tariff, 3)).toBe(tariff.weekday);
+  });
+
+  it('should return the weekend bands on a weekend', () => {
+    expect(getBandsForDay(tariff, 7)).toBe(tariff.weekend);
+  });
+
+  it('should fall back to the weekday bands without weekend bands', () => {
+    const weekdayOnly = { weekday: tariff.weekday };
+    expect(getBandsForDay(weekdayOnly, 7)).toBe(tariff.weekday);
+  });
+});